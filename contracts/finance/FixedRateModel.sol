@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./IInterestRateModel.sol";
+
+/// @notice Same APR regardless of utilization
+contract FixedRateModel is IInterestRateModel, Ownable {
+    uint256 public constant MAX_APR = 10000; // 100%
+
+    uint256 public aprBps;
+
+    event RateUpdated(uint256 aprBps);
+
+    constructor(uint256 _aprBps) {
+        require(_aprBps <= MAX_APR, "APR too high");
+        aprBps = _aprBps;
+    }
+
+    function setRate(uint256 _aprBps) external onlyOwner {
+        require(_aprBps <= MAX_APR, "APR too high");
+        aprBps = _aprBps;
+        emit RateUpdated(_aprBps);
+    }
+
+    function borrowRate(uint256, uint256) external view override returns (uint256) {
+        return aprBps;
+    }
+}
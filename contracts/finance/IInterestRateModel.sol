@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IInterestRateModel {
+    /// @notice Annual borrow rate in basis points, given the principal lent out and the liquidity still available
+    function borrowRate(uint256 borrowed, uint256 available) external view returns (uint256 aprBps);
+}
@@ -1,127 +1,137 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "./IInstallmentLogic.sol";
+/**
+ * @notice Installment schedules: `installmentCount` payments of `installmentAmount`, the i-th due at
+ * `startTime + i * period`. Payments are applied to late fees first, then to the schedule in order.
+ * @dev Internal functions only, so the library is inlined into LoanModule and BuyNowPayLater.
+ */
+library InstallmentLogic {
+    uint256 internal constant BPS_DENOMINATOR = 10000;
+
+    /// @notice Schedule settings shared by every plan a module creates
+    struct Terms {
+        uint256 period; // time between due dates
+        uint256 gracePeriod; // after a due date, before the installment counts as late
+        uint256 lateFeeBps; // of the installment, charged once per late installment
+        uint256 defaultAfter; // after a due date, before the plan is in default; >= gracePeriod
+    }
 
-contract InstallmentLogic is IInstallmentLogic {
     struct InstallmentPlan {
         uint256 totalAmount;
-        uint256 paidAmount;
+        uint256 paidAmount; // towards the schedule; late fees excluded
         uint256 installmentCount;
-        uint256 installmentsPaid;
-        address payer;
-        address payee;
-        bool active;
+        uint256 installmentAmount; // the last installment takes whatever is left
+        uint256 startTime;
+        Terms terms;
+        uint256 lateFeesCharged; // installments already charged a late fee
+        uint256 lateFeesPaid;
     }
 
-    uint256 private nextPlanId;
-    mapping(uint256 => InstallmentPlan) private plans;
-
-    event InstallmentPlanCreated(
-        uint256 indexed planId,
-        address indexed payer,
-        address indexed payee,
+    /// @notice New plan for `totalAmount` in `installmentCount` payments, the first one period after `startTime`
+    function createPlan(
         uint256 totalAmount,
-        uint256 installmentCount
-    );
+        uint256 installmentCount,
+        uint256 startTime,
+        Terms memory terms
+    ) internal pure returns (InstallmentPlan memory plan) {
+        require(totalAmount > 0, "Amount must be > 0");
+        require(installmentCount > 0, "Installment count must be > 0");
+        validateTerms(terms);
+
+        plan.totalAmount = totalAmount;
+        plan.installmentCount = installmentCount;
+        plan.installmentAmount = (totalAmount + installmentCount - 1) / installmentCount;
+        plan.startTime = startTime;
+        plan.terms = terms;
+    }
+
+    function validateTerms(Terms memory terms) internal pure {
+        require(terms.period > 0, "Invalid period");
+        require(terms.defaultAfter >= terms.gracePeriod, "Default before grace ends");
+        require(terms.lateFeeBps <= BPS_DENOMINATOR, "Invalid late fee");
+    }
 
-    event InstallmentPaid(
-        uint256 indexed planId,
-        address indexed payer,
+    /**
+     * @notice Apply `amount` at `timestamp`: outstanding late fees are taken first, the rest pays down the schedule.
+     * @return remaining Schedule amount still to pay
+     * @return lateFee Part of `amount` that went to late fees
+     */
+    function payInstallment(
+        InstallmentPlan storage plan,
         uint256 amount,
-        uint256 installmentsPaid
-    );
+        uint256 timestamp
+    ) internal returns (uint256 remaining, uint256 lateFee) {
+        require(amount > 0, "Amount must be > 0");
+        require(plan.paidAmount < plan.totalAmount, "Plan completed");
+
+        lateFee = lateFeeOwed(plan, timestamp);
+        require(amount >= lateFee, "Late fee unpaid");
+        uint256 principal = amount - lateFee;
+        require(plan.paidAmount + principal <= plan.totalAmount, "Overpayment not allowed");
 
-    event InstallmentPlanCompleted(
-        uint256 indexed planId,
-        address indexed payer,
-        address indexed payee
-    );
+        plan.lateFeesCharged = _countDue(plan, _sub(timestamp, plan.terms.gracePeriod));
+        plan.lateFeesPaid += lateFee;
+        plan.paidAmount += principal;
 
-    constructor() {
-        nextPlanId = 1;
+        remaining = plan.totalAmount - plan.paidAmount;
     }
 
-    /// @notice Create a new installment plan
-    function createInstallmentPlan(
-        address _payer,
-        address _payee,
-        uint256 _totalAmount,
-        uint256 _installmentCount
-    ) external override returns (uint256) {
-        require(_payer != address(0), "Invalid payer");
-        require(_payee != address(0), "Invalid payee");
-        require(_payer != _payee, "Payer and payee cannot be same");
-        require(_totalAmount > 0, "Amount must be > 0");
-        require(_installmentCount > 0, "Installment count must be > 0");
-
-        uint256 planId = nextPlanId++;
-        plans[planId] = InstallmentPlan({
-            totalAmount: _totalAmount,
-            paidAmount: 0,
-            installmentCount: _installmentCount,
-            installmentsPaid: 0,
-            payer: _payer,
-            payee: _payee,
-            active: true
-        });
-
-        emit InstallmentPlanCreated(
-            planId,
-            _payer,
-            _payee,
-            _totalAmount,
-            _installmentCount
-        );
-
-        return planId;
+    /// @notice Schedule amount still to pay and whether the plan is in default at `timestamp`
+    function getStatus(
+        InstallmentPlan storage plan,
+        uint256 timestamp
+    ) internal view returns (uint256 remaining, bool defaulted) {
+        return (plan.totalAmount - plan.paidAmount, isDefaulted(plan, timestamp));
     }
 
-    /// @notice Pay an installment for an existing plan
-    function payInstallment(uint256 _planId, uint256 _amount) external override {
-        InstallmentPlan storage plan = plans[_planId];
-        require(plan.active, "Plan not active");
-        require(msg.sender == plan.payer, "Only payer can pay");
-        require(_amount > 0, "Amount must be > 0");
-        require(plan.paidAmount + _amount <= plan.totalAmount, "Overpayment not allowed");
+    /// @notice Earliest installment not fully paid: its due date and what is left of it. (0, 0) once paid off.
+    function nextDue(InstallmentPlan storage plan) internal view returns (uint256 dueDate, uint256 amount) {
+        if (plan.paidAmount >= plan.totalAmount) return (0, 0);
+        uint256 index = plan.paidAmount / plan.installmentAmount + 1;
+        return (plan.startTime + index * plan.terms.period, _cumulativeDue(plan, index) - plan.paidAmount);
+    }
 
-        plan.paidAmount += _amount;
-        plan.installmentsPaid += 1;
+    /// @notice Amount of installments past their due date and unpaid at `timestamp`
+    function amountOverdue(InstallmentPlan storage plan, uint256 timestamp) internal view returns (uint256) {
+        uint256 due = _cumulativeDue(plan, _countDue(plan, timestamp));
+        return due > plan.paidAmount ? due - plan.paidAmount : 0;
+    }
 
-        emit InstallmentPaid(_planId, msg.sender, _amount, plan.installmentsPaid);
+    /// @notice Late fees a payment at `timestamp` would have to cover first
+    function lateFeeOwed(InstallmentPlan storage plan, uint256 timestamp) internal view returns (uint256) {
+        uint256 late = _countDue(plan, _sub(timestamp, plan.terms.gracePeriod));
+        uint256 paidInstallments = plan.paidAmount / plan.installmentAmount;
+        uint256 from = plan.lateFeesCharged > paidInstallments ? plan.lateFeesCharged : paidInstallments;
+        if (late <= from) return 0;
+        return ((late - from) * plan.installmentAmount * plan.terms.lateFeeBps) / BPS_DENOMINATOR;
+    }
+
+    /// @notice True once an installment is still unpaid `defaultAfter` past its due date
+    function isDefaulted(InstallmentPlan storage plan, uint256 timestamp) internal view returns (bool) {
+        uint256 due = _cumulativeDue(plan, _countDue(plan, _sub(timestamp, plan.terms.defaultAfter)));
+        return due > plan.paidAmount;
+    }
+
+    /// @notice Due date of the last installment
+    function finalDueDate(InstallmentPlan storage plan) internal view returns (uint256) {
+        return plan.startTime + plan.installmentCount * plan.terms.period;
+    }
+
+    // Installments whose due date is at or before `timestamp`
+    function _countDue(InstallmentPlan storage plan, uint256 timestamp) private view returns (uint256) {
+        if (timestamp < plan.startTime) return 0;
+        uint256 count = (timestamp - plan.startTime) / plan.terms.period;
+        return count < plan.installmentCount ? count : plan.installmentCount;
+    }
 
-        if (plan.paidAmount >= plan.totalAmount) {
-            plan.active = false;
-            emit InstallmentPlanCompleted(_planId, plan.payer, plan.payee);
-        }
+    // Schedule amount due after `count` installments
+    function _cumulativeDue(InstallmentPlan storage plan, uint256 count) private view returns (uint256) {
+        uint256 due = count * plan.installmentAmount;
+        return due < plan.totalAmount ? due : plan.totalAmount;
     }
 
-    /// @notice Get details of an installment plan
-    function getInstallmentPlan(
-        uint256 _planId
-    )
-        external
-        view
-        override
-        returns (
-            uint256 totalAmount,
-            uint256 paidAmount,
-            uint256 installmentCount,
-            uint256 installmentsPaid,
-            address payer,
-            address payee,
-            bool active
-        )
-    {
-        InstallmentPlan memory plan = plans[_planId];
-        return (
-            plan.totalAmount,
-            plan.paidAmount,
-            plan.installmentCount,
-            plan.installmentsPaid,
-            plan.payer,
-            plan.payee,
-            plan.active
-        );
+    function _sub(uint256 a, uint256 b) private pure returns (uint256) {
+        return a > b ? a - b : 0;
     }
 }
@@ -0,0 +1,230 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+interface ICollateralAuction {
+    function nft() external view returns (IERC721);
+    function startAuction(uint256 tokenId, uint256 minBid, uint256 duration) external;
+}
+
+/**
+ * @notice ERC-4626 pool of MFH that LoanModule lends from. Interest paid back raises the share price;
+ * liquidation losses lower it for all holders, from the moment a loan is liquidated. Withdrawals beyond the
+ * idle balance wait in a FIFO queue. Collateral that found no buyer at liquidation is sent here and can be
+ * auctioned again by anyone on the owner's relist terms.
+ */
+contract LendingVault is ERC4626, Ownable {
+    uint256 public constant BPS_DENOMINATOR = 10000;
+
+    struct WithdrawalRequest {
+        address owner;
+        uint256 shares; // held by the vault until processed or cancelled
+    }
+
+    address public loanModule;
+    uint256 public depositCap; // max totalAssets accepted through deposits
+    uint256 public totalBorrowed; // principal currently lent out
+    uint256 public impairedPrincipal; // part of totalBorrowed in liquidation, valued at zero until settled
+
+    // Terms for relistCollateral
+    ICollateralAuction public collateralAuction;
+    uint256 public relistMinBid;
+    uint256 public relistDuration = 1 days;
+
+    WithdrawalRequest[] public withdrawalQueue;
+    uint256 public queueHead; // first request not yet processed
+    uint256 public queuedShares; // shares of requests still waiting in the queue
+
+    event LoanModuleUpdated(address indexed loanModule);
+    event DepositCapUpdated(uint256 cap);
+    event Borrowed(address indexed to, uint256 amount);
+    event Repaid(uint256 principal, uint256 interest);
+    event LoanImpaired(uint256 principal);
+    event LossRealized(uint256 principal, uint256 recovered);
+    event WithdrawalQueued(uint256 indexed requestId, address indexed owner, uint256 shares);
+    event WithdrawalCancelled(uint256 indexed requestId, address indexed owner, uint256 shares);
+    event WithdrawalProcessed(uint256 indexed requestId, address indexed owner, uint256 shares, uint256 assets);
+    event CollateralAuctioned(uint256 indexed tokenId, address indexed auctionModule, uint256 minBid);
+    event RelistTermsUpdated(address indexed auctionModule, uint256 minBid, uint256 duration);
+
+    modifier onlyLoanModule() {
+        require(msg.sender == loanModule, "Not loan module");
+        _;
+    }
+
+    constructor(IERC20 _asset, uint256 _depositCap)
+        ERC20("MFH Lending Vault", "vMFH")
+        ERC4626(_asset)
+    {
+        depositCap = _depositCap;
+    }
+
+    function setLoanModule(address _loanModule) external onlyOwner {
+        loanModule = _loanModule;
+        emit LoanModuleUpdated(_loanModule);
+    }
+
+    function setDepositCap(uint256 cap) external onlyOwner {
+        depositCap = cap;
+        emit DepositCapUpdated(cap);
+    }
+
+    function setRelistTerms(address auctionModule, uint256 minBid, uint256 duration) external onlyOwner {
+        require(minBid > 0, "Invalid min bid");
+        collateralAuction = ICollateralAuction(auctionModule);
+        relistMinBid = minBid;
+        relistDuration = duration;
+        emit RelistTermsUpdated(auctionModule, minBid, duration);
+    }
+
+    /**
+     * @notice Idle MFH plus principal out on loan. Principal of loans in liquidation counts for nothing, so
+     * shares can't be redeemed at a price the defaulted collateral may not fetch.
+     */
+    function totalAssets() public view override returns (uint256) {
+        return availableLiquidity() + totalBorrowed - impairedPrincipal;
+    }
+
+    function availableLiquidity() public view returns (uint256) {
+        return IERC20(asset()).balanceOf(address(this));
+    }
+
+    /// @notice Current value of the shares waiting in the withdrawal queue
+    function queuedAssets() public view returns (uint256) {
+        return previewRedeem(queuedShares);
+    }
+
+    /// @notice Idle MFH not set aside for queued withdrawals, i.e. what new loans can draw on
+    function lendableLiquidity() public view returns (uint256) {
+        uint256 idle = availableLiquidity();
+        uint256 queued = queuedAssets();
+        return idle > queued ? idle - queued : 0;
+    }
+
+    /// @notice Share of assets lent out, in basis points
+    function utilization() external view returns (uint256) {
+        uint256 assets = totalAssets();
+        return assets == 0 ? 0 : (totalBorrowed * BPS_DENOMINATOR) / assets;
+    }
+
+    function pendingWithdrawals() external view returns (uint256) {
+        return withdrawalQueue.length - queueHead;
+    }
+
+    function maxDeposit(address) public view override returns (uint256) {
+        uint256 assets = totalAssets();
+        return assets >= depositCap ? 0 : depositCap - assets;
+    }
+
+    function maxMint(address receiver) public view override returns (uint256) {
+        return convertToShares(maxDeposit(receiver));
+    }
+
+    /// @dev Limited to idle liquidity, and closed while queued requests wait to be served
+    function maxWithdraw(address owner) public view override returns (uint256) {
+        if (queueHead < withdrawalQueue.length) return 0;
+        return Math.min(super.maxWithdraw(owner), availableLiquidity());
+    }
+
+    function maxRedeem(address owner) public view override returns (uint256) {
+        if (queueHead < withdrawalQueue.length) return 0;
+        return Math.min(super.maxRedeem(owner), convertToShares(availableLiquidity()));
+    }
+
+    /// @notice Queue `shares` for redemption once liquidity returns. Assets are priced when the request is processed.
+    function requestWithdrawal(uint256 shares) external returns (uint256 requestId) {
+        require(shares > 0, "Zero shares");
+        _transfer(msg.sender, address(this), shares);
+
+        requestId = withdrawalQueue.length;
+        withdrawalQueue.push(WithdrawalRequest(msg.sender, shares));
+        queuedShares += shares;
+        emit WithdrawalQueued(requestId, msg.sender, shares);
+    }
+
+    function cancelWithdrawal(uint256 requestId) external {
+        WithdrawalRequest memory request = withdrawalQueue[requestId];
+        require(request.owner == msg.sender, "Not owner");
+        require(request.shares > 0, "Not pending");
+
+        delete withdrawalQueue[requestId];
+        queuedShares -= request.shares;
+        _transfer(address(this), msg.sender, request.shares);
+        emit WithdrawalCancelled(requestId, msg.sender, request.shares);
+    }
+
+    /// @notice Serve up to `maxCount` queued requests in order, stopping at the first that liquidity can't cover
+    function processWithdrawals(uint256 maxCount) external returns (uint256 processed) {
+        while (queueHead < withdrawalQueue.length && processed < maxCount) {
+            WithdrawalRequest memory request = withdrawalQueue[queueHead];
+            if (request.shares > 0) {
+                uint256 assets = previewRedeem(request.shares);
+                if (assets > availableLiquidity()) break;
+
+                delete withdrawalQueue[queueHead];
+                queuedShares -= request.shares;
+                _burn(address(this), request.shares);
+                require(IERC20(asset()).transfer(request.owner, assets), "Transfer failed");
+                emit WithdrawalProcessed(queueHead, request.owner, request.shares, assets);
+            }
+            queueHead++;
+            processed++;
+        }
+    }
+
+    /**
+     * @notice Auction collateral left here by an unsold liquidation on custom terms. The proceeds, or the NFT
+     * if nobody bids, come back to the vault.
+     */
+    function auctionCollateral(address auctionModule, uint256 tokenId, uint256 minBid, uint256 duration) external onlyOwner {
+        _auctionCollateral(ICollateralAuction(auctionModule), tokenId, minBid, duration);
+    }
+
+    /// @notice Put collateral held by the vault back up for auction on the relist terms. Callable by anyone.
+    function relistCollateral(uint256 tokenId) external {
+        require(address(collateralAuction) != address(0), "No relist terms");
+        _auctionCollateral(collateralAuction, tokenId, relistMinBid, relistDuration);
+    }
+
+    /// @notice Lend `amount` out to `to`. Liquidity owed to queued withdrawals is not lent out.
+    function borrow(address to, uint256 amount) external onlyLoanModule {
+        require(amount <= lendableLiquidity(), "Insufficient liquidity");
+        totalBorrowed += amount;
+        require(IERC20(asset()).transfer(to, amount), "Transfer failed");
+        emit Borrowed(to, amount);
+    }
+
+    /// @notice Pull back repaid `principal` plus `interest` (and any fees) from the loan module
+    function repay(uint256 principal, uint256 interest) external onlyLoanModule {
+        totalBorrowed -= principal;
+        require(IERC20(asset()).transferFrom(msg.sender, address(this), principal + interest), "Payment failed");
+        emit Repaid(principal, interest);
+    }
+
+    /// @notice Stop counting `principal` of a loan whose collateral is being liquidated towards totalAssets
+    function impair(uint256 principal) external onlyLoanModule {
+        impairedPrincipal += principal;
+        emit LoanImpaired(principal);
+    }
+
+    /// @notice Write off impaired `principal` of a liquidated loan, pulling in whatever its collateral `recovered`
+    function realizeLoss(uint256 principal, uint256 recovered) external onlyLoanModule {
+        totalBorrowed -= principal;
+        impairedPrincipal -= principal;
+        if (recovered > 0) {
+            require(IERC20(asset()).transferFrom(msg.sender, address(this), recovered), "Payment failed");
+        }
+        emit LossRealized(principal, recovered);
+    }
+
+    function _auctionCollateral(ICollateralAuction auctionModule, uint256 tokenId, uint256 minBid, uint256 duration) internal {
+        auctionModule.nft().approve(address(auctionModule), tokenId);
+        auctionModule.startAuction(tokenId, minBid, duration);
+        emit CollateralAuctioned(tokenId, address(auctionModule), minBid);
+    }
+}
@@ -4,42 +4,119 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol";
 import "./InstallmentLogic.sol";
+import "./IInterestRateModel.sol";
+import "../token/IFeeRouter.sol";
 
 interface IEscrowManager {
-    function lockAsset(address nft, uint256 tokenId) external;
-    function releaseAsset(address nft, uint256 tokenId, address to) external;
-    function forfeitAsset(address nft, uint256 tokenId, address to) external;
+    function lockAsset(uint256 tokenId, address depositor) external;
+    function releaseAsset(uint256 tokenId, address recipient) external;
+    function forfeitAsset(uint256 tokenId, address to) external;
 }
 
-contract LoanModule is Ownable {
+interface ILendingVault {
+    function borrow(address to, uint256 amount) external;
+    function repay(uint256 principal, uint256 interest) external;
+    function impair(uint256 principal) external;
+    function realizeLoss(uint256 principal, uint256 recovered) external;
+    function totalBorrowed() external view returns (uint256);
+    function availableLiquidity() external view returns (uint256);
+}
+
+interface INFTPriceOracle {
+    function valuation(uint256 tokenId) external view returns (uint256);
+}
+
+interface ILiquidationAuction {
+    function startLiquidationAuction(uint256 tokenId, uint256 reserve) external;
+}
+
+contract LoanModule is Ownable, ERC721Holder {
     IERC721 public nft;
     IERC20 public token;
     IEscrowManager public escrow;
+    ILendingVault public vault; // funds pool loans and receives their repayments
+    INFTPriceOracle public oracle; // values collateral of pool loans
+    ILiquidationAuction public auctionModule; // sells liquidated collateral
+    IInterestRateModel public rateModel; // optional; loans are interest-free while unset
+    address public treasury;
+    IFeeRouter public feeRouter; // optional; fees go to treasury while unset
+
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public constant YEAR = 365 days;
+    uint256 public constant MAX_ORIGINATION_FEE = 500; // 5%
+    uint256 public constant MAX_LIQUIDATION_BONUS = 1000; // 10%
 
     struct Loan {
         address borrower;
         uint256 amount;
-        uint256 paid;
+        uint256 paid; // principal repaid
         uint256 createdAt;
         uint256 deadline;
         bool active;
+        uint256 aprBps; // fixed at origination
+        uint256 accruedInterest; // unpaid interest up to lastAccrual
+        uint256 lastAccrual;
+        uint256 interestPaid;
+        address lender; // address(0) = lent from this contract's pool
+    }
+
+    /// @notice P2P offer to lend `principal` against `tokenId`, or against any token of `collection`
+    struct LoanOffer {
+        address lender;
+        uint256 principal; // held here until accepted or cancelled
+        uint256 aprBps;
+        uint256 duration; // repaid in one installment at the end
+        address collection;
+        uint256 tokenId;
+        bool anyToken;
+    }
+
+    /// @notice Pool loan whose collateral is being auctioned
+    struct Liquidation {
+        address liquidator;
+        uint256 debt; // principal, interest and late fees when liquidated
+        uint256 bonus; // liquidator's share, added to the auction reserve on top of the debt
     }
 
     mapping(uint256 => Loan) public loans;
+    mapping(uint256 => Liquidation) public liquidations;
+    uint256 public nextOfferId = 1;
+    mapping(uint256 => LoanOffer) public loanOffers;
+    // Principal of open offers
+    uint256 public offeredPrincipal;
     mapping(uint256 => InstallmentLogic.InstallmentPlan) public installments;
+    uint256 public originationFeeBps = 100; // 1%, deducted from the principal paid out
+    // Pool loans: debt to collateral value limits, in basis points
+    uint256 public maxLtvBps = 4000; // at origination
+    uint256 public liquidationThresholdBps = 7000; // liquidatable at or above
+    uint256 public liquidationBonusBps = 200; // 2% of the debt, added to the liquidation auction reserve
 
     uint256 public loanDuration = 30 days;
     uint8 public maxInstallments = 4;
+    // Installments fall due every loanDuration / maxInstallments
+    uint256 public gracePeriod = 3 days;
+    uint256 public lateFeeBps = 500; // 5% of a late installment
+    uint256 public defaultAfter = 14 days; // past a due date
 
     event LoanRequested(uint256 tokenId, address borrower, uint256 amount);
+    event LoanTerms(uint256 indexed tokenId, uint256 aprBps, uint256 originationFee);
     event Repaid(uint256 tokenId, address borrower, uint256 amount);
+    event InterestPaid(uint256 indexed tokenId, address borrower, uint256 interest);
+    event LateFeePaid(uint256 indexed tokenId, address borrower, uint256 fee);
     event Liquidated(uint256 tokenId, address liquidator);
+    event LiquidationSettled(uint256 indexed tokenId, uint256 proceeds, uint256 repaid, uint256 bonus, uint256 surplus);
+    event LoanOfferPosted(uint256 indexed offerId, address indexed lender, address collection, uint256 tokenId, bool anyToken, uint256 principal, uint256 aprBps, uint256 duration);
+    event LoanOfferCancelled(uint256 indexed offerId, address indexed lender);
+    event LoanOfferAccepted(uint256 indexed offerId, uint256 indexed tokenId, address indexed borrower);
+    event CollateralClaimed(uint256 indexed tokenId, address indexed lender);
 
     constructor(address _nft, address _token, address _escrow) {
         nft = IERC721(_nft);
         token = IERC20(_token);
         escrow = IEscrowManager(_escrow);
+        treasury = msg.sender;
     }
 
     function setToken(address _token) external onlyOwner {
@@ -47,71 +124,390 @@ contract LoanModule is Ownable {
         token = IERC20(_token);
     }
 
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury");
+        treasury = _treasury;
+    }
+
+    function setFeeRouter(address _router) external onlyOwner {
+        feeRouter = IFeeRouter(_router);
+    }
+
+    function setVault(address _vault) external onlyOwner {
+        vault = ILendingVault(_vault);
+    }
+
+    function setOracle(address _oracle) external onlyOwner {
+        oracle = INFTPriceOracle(_oracle);
+    }
+
+    function setAuctionModule(address _auctionModule) external onlyOwner {
+        auctionModule = ILiquidationAuction(_auctionModule);
+    }
+
+    function setLiquidationBonus(uint256 bps) external onlyOwner {
+        require(bps <= MAX_LIQUIDATION_BONUS, "Max 10%");
+        liquidationBonusBps = bps;
+    }
+
+    function setLtvLimits(uint256 _maxLtvBps, uint256 _liquidationThresholdBps) external onlyOwner {
+        require(_maxLtvBps > 0 && _maxLtvBps < _liquidationThresholdBps, "Invalid LTV");
+        require(_liquidationThresholdBps <= BPS_DENOMINATOR, "Invalid threshold");
+        maxLtvBps = _maxLtvBps;
+        liquidationThresholdBps = _liquidationThresholdBps;
+    }
+
+    function setRateModel(address _model) external onlyOwner {
+        rateModel = IInterestRateModel(_model);
+    }
+
+    function setOriginationFee(uint256 bps) external onlyOwner {
+        require(bps <= MAX_ORIGINATION_FEE, "Max 5%");
+        originationFeeBps = bps;
+    }
+
     function requestLoan(uint256 tokenId, uint256 amount) external {
         require(nft.ownerOf(tokenId) == msg.sender, "Not token owner");
         require(amount > 0, "Invalid amount");
-        require(!loans[tokenId].active, "Loan exists");
+        require(address(vault) != address(0), "No lending vault");
+        require(address(oracle) != address(0), "No price oracle");
+        require(amount * BPS_DENOMINATOR <= oracle.valuation(tokenId) * maxLtvBps, "Exceeds max LTV");
 
-        // Lock NFT into escrow
-        nft.transferFrom(msg.sender, address(escrow), tokenId);
-        escrow.lockAsset(address(nft), tokenId);
+        vault.borrow(address(this), amount);
+        InstallmentLogic.InstallmentPlan memory plan = InstallmentLogic.createPlan(
+            amount,
+            maxInstallments,
+            block.timestamp,
+            installmentTerms()
+        );
+        _openLoan(tokenId, address(0), currentRate(), plan);
+    }
 
-        loans[tokenId] = Loan({
-            borrower: msg.sender,
-            amount: amount,
-            paid: 0,
-            createdAt: block.timestamp,
-            deadline: block.timestamp + loanDuration,
-            active: true
+    /**
+     * @notice Offer to lend `principal` MFH at `aprBps` for `duration`, against `tokenId` of `collection`,
+     * or against any of its tokens with `anyToken`. The principal is held here until the offer is taken or cancelled.
+     */
+    function postLoanOffer(
+        address collection,
+        uint256 tokenId,
+        bool anyToken,
+        uint256 principal,
+        uint256 aprBps,
+        uint256 duration
+    ) external returns (uint256 offerId) {
+        // EscrowManager holds a single collection
+        require(collection == address(nft), "Unsupported collection");
+        require(principal > 0, "Invalid amount");
+        require(duration >= 1 days, "Invalid duration");
+        require(aprBps <= BPS_DENOMINATOR, "APR too high");
+
+        require(token.transferFrom(msg.sender, address(this), principal), "Payment failed");
+        offeredPrincipal += principal;
+
+        offerId = nextOfferId++;
+        loanOffers[offerId] = LoanOffer({
+            lender: msg.sender,
+            principal: principal,
+            aprBps: aprBps,
+            duration: duration,
+            collection: collection,
+            tokenId: tokenId,
+            anyToken: anyToken
         });
 
-        installments[tokenId] = InstallmentLogic.createPlan(amount, maxInstallments);
+        emit LoanOfferPosted(offerId, msg.sender, collection, tokenId, anyToken, principal, aprBps, duration);
+    }
+
+    function cancelLoanOffer(uint256 offerId) external {
+        LoanOffer memory offer = loanOffers[offerId];
+        require(offer.lender == msg.sender, "Not lender");
 
-        // Send loan tokens to borrower
-        token.transfer(msg.sender, amount);
+        delete loanOffers[offerId];
+        offeredPrincipal -= offer.principal;
+        require(token.transfer(msg.sender, offer.principal), "Refund failed");
 
-        emit LoanRequested(tokenId, msg.sender, amount);
+        emit LoanOfferCancelled(offerId, msg.sender);
     }
 
+    /// @notice Borrow against `tokenId` on the offer's terms; the NFT is locked in EscrowManager
+    function acceptLoanOffer(uint256 offerId, uint256 tokenId) external {
+        LoanOffer memory offer = loanOffers[offerId];
+        require(offer.lender != address(0), "Offer not active");
+        require(offer.anyToken || offer.tokenId == tokenId, "Token not accepted");
+        require(nft.ownerOf(tokenId) == msg.sender, "Not token owner");
+        require(msg.sender != offer.lender, "Lender cannot borrow");
+
+        delete loanOffers[offerId];
+        offeredPrincipal -= offer.principal;
+
+        InstallmentLogic.InstallmentPlan memory plan = InstallmentLogic.createPlan(
+            offer.principal,
+            1,
+            block.timestamp,
+            InstallmentLogic.Terms(offer.duration, gracePeriod, lateFeeBps, defaultAfter)
+        );
+        _openLoan(tokenId, offer.lender, offer.aprBps, plan);
+
+        emit LoanOfferAccepted(offerId, tokenId, msg.sender);
+    }
+
+    /**
+     * @notice Repay `amount`: late fees are covered first, then interest accrued up to now, then principal
+     * towards the installment schedule. Use payoffQuote for the amount that closes the loan.
+     */
     function repayLoan(uint256 tokenId, uint256 amount) external {
         Loan storage loan = loans[tokenId];
         require(loan.active, "No active loan");
         require(msg.sender == loan.borrower, "Not borrower");
+        require(amount > 0, "Invalid amount");
 
+        _accrue(loan);
         InstallmentLogic.InstallmentPlan storage plan = installments[tokenId];
-        (uint256 remaining, bool isLate) = InstallmentLogic.payInstallment(plan, amount, block.timestamp);
+        uint256 lateFee = InstallmentLogic.lateFeeOwed(plan, block.timestamp);
+        require(amount >= lateFee, "Late fee unpaid");
+
+        uint256 interest = amount - lateFee < loan.accruedInterest ? amount - lateFee : loan.accruedInterest;
+        uint256 principal = amount - lateFee - interest;
+        loan.accruedInterest -= interest;
+        loan.interestPaid += interest;
 
-        loan.paid += amount;
+        uint256 remaining = loan.amount - loan.paid;
+        if (lateFee + principal > 0) {
+            (remaining, ) = InstallmentLogic.payInstallment(plan, lateFee + principal, block.timestamp);
+        }
+        loan.paid += principal;
 
-        token.transferFrom(msg.sender, address(this), amount);
+        // Pool repayments, interest and fees included, go back to the vault; P2P ones straight to the lender
+        if (loan.lender == address(0)) {
+            require(token.transferFrom(msg.sender, address(this), amount), "Payment failed");
+            token.approve(address(vault), amount);
+            vault.repay(principal, amount - principal);
+        } else {
+            require(token.transferFrom(msg.sender, loan.lender, amount), "Payment failed");
+        }
+        if (lateFee > 0) emit LateFeePaid(tokenId, msg.sender, lateFee);
+        if (interest > 0) emit InterestPaid(tokenId, msg.sender, interest);
         emit Repaid(tokenId, msg.sender, amount);
 
         if (remaining == 0) {
             loan.active = false;
-            escrow.releaseAsset(address(nft), tokenId, loan.borrower);
+            escrow.releaseAsset(tokenId, loan.borrower);
         }
     }
 
-    function liquidateLoan(uint256 tokenId) external onlyOwner {
+    /**
+     * @notice Put the collateral of a defaulted or under-collateralized pool loan up for auction, with the
+     * debt as reserve. Callable by anyone; the caller earns the liquidation bonus when the auction settles.
+     * The vault stops counting the outstanding principal as an asset until the auction settles.
+     */
+    function liquidateLoan(uint256 tokenId) external {
         Loan storage loan = loans[tokenId];
         require(loan.active, "Loan inactive");
-        require(block.timestamp > loan.deadline, "Loan not expired");
+        require(loan.lender == address(0), "P2P loan");
+        require(address(auctionModule) != address(0), "No auction module");
+        require(
+            InstallmentLogic.isDefaulted(installments[tokenId], block.timestamp) ||
+                currentLtv(tokenId) >= liquidationThresholdBps,
+            "Loan not in default"
+        );
 
+        (uint256 principal, uint256 interest, uint256 lateFee) = _owedAt(tokenId, block.timestamp);
+        uint256 debt = principal + interest + lateFee;
         loan.active = false;
-        escrow.forfeitAsset(address(nft), tokenId, owner());
+        uint256 bonus = (debt * liquidationBonusBps) / BPS_DENOMINATOR;
+        liquidations[tokenId] = Liquidation(msg.sender, debt, bonus);
+
+        vault.impair(loan.amount - loan.paid);
+        escrow.forfeitAsset(tokenId, address(this));
+        nft.approve(address(auctionModule), tokenId);
+        auctionModule.startLiquidationAuction(tokenId, debt + bonus);
 
         emit Liquidated(tokenId, msg.sender);
     }
 
+    /**
+     * @notice Called by AuctionModule when a liquidation auction ends. Proceeds repay the vault first, then
+     * pay the liquidator's bonus, and the rest goes to the borrower. Unsold collateral goes to the vault, whose
+     * depositors bear the loss.
+     */
+    function onLiquidationSettled(uint256 tokenId, uint256 proceeds) external {
+        require(msg.sender == address(auctionModule), "Not auction module");
+        Liquidation memory liquidation = liquidations[tokenId];
+        require(liquidation.liquidator != address(0), "No liquidation");
+        delete liquidations[tokenId];
+
+        Loan memory loan = loans[tokenId];
+        uint256 repaid = proceeds < liquidation.debt ? proceeds : liquidation.debt;
+        // Bids open at debt + bonus, so any sale covers both
+        uint256 bonus = proceeds - repaid < liquidation.bonus ? proceeds - repaid : liquidation.bonus;
+        uint256 surplus = proceeds - repaid - bonus;
+
+        token.approve(address(vault), repaid);
+        vault.realizeLoss(loan.amount - loan.paid, repaid);
+        if (bonus > 0) require(token.transfer(liquidation.liquidator, bonus), "Bonus transfer failed");
+        if (surplus > 0) require(token.transfer(loan.borrower, surplus), "Surplus transfer failed");
+        if (proceeds == 0) nft.transferFrom(address(this), address(vault), tokenId);
+
+        emit LiquidationSettled(tokenId, proceeds, repaid, bonus, surplus);
+    }
+
+    /// @notice Lender takes the collateral of a defaulted P2P loan
+    function claimCollateral(uint256 tokenId) external {
+        Loan storage loan = loans[tokenId];
+        require(loan.active, "Loan inactive");
+        require(loan.lender != address(0) && msg.sender == loan.lender, "Not lender");
+        require(InstallmentLogic.isDefaulted(installments[tokenId], block.timestamp), "Loan not in default");
+
+        loan.active = false;
+        escrow.forfeitAsset(tokenId, msg.sender);
+
+        emit CollateralClaimed(tokenId, msg.sender);
+    }
+
+    /// @notice What the borrower owes right now: outstanding principal, accrued interest and late fees
+    function totalOwed(uint256 tokenId) external view returns (uint256 principal, uint256 interest, uint256 lateFee) {
+        return _owedAt(tokenId, block.timestamp);
+    }
+
+    /// @notice Amount that closes the loan if repaid at `timestamp` (now or later)
+    function payoffQuote(uint256 tokenId, uint256 timestamp) external view returns (uint256) {
+        require(timestamp >= block.timestamp, "Quote in the past");
+        (uint256 principal, uint256 interest, uint256 lateFee) = _owedAt(tokenId, timestamp);
+        return principal + interest + lateFee;
+    }
+
+    /**
+     * @notice Current debt (principal, interest and late fees) over collateral value, in basis points.
+     * Reverts with "No valuation" while the oracle has too few fresh sales to price the collateral.
+     */
+    function currentLtv(uint256 tokenId) public view returns (uint256) {
+        (uint256 principal, uint256 interest, uint256 lateFee) = _owedAt(tokenId, block.timestamp);
+        uint256 debt = principal + interest + lateFee;
+        if (debt == 0) return 0;
+        uint256 value;
+        try oracle.valuation(tokenId) returns (uint256 v) {
+            value = v;
+        } catch {
+            revert("No valuation");
+        }
+        return value == 0 ? type(uint256).max : (debt * BPS_DENOMINATOR) / value;
+    }
+
+    /// @notice APR in basis points a loan taken now would get
+    function currentRate() public view returns (uint256) {
+        if (address(rateModel) == address(0) || address(vault) == address(0)) return 0;
+        return rateModel.borrowRate(vault.totalBorrowed(), vault.availableLiquidity());
+    }
+
+    /// @notice Pool principal currently lent out
+    function totalBorrowed() external view returns (uint256) {
+        return address(vault) == address(0) ? 0 : vault.totalBorrowed();
+    }
+
     function getInstallmentStatus(uint256 tokenId) external view returns (uint256 remaining, bool defaulted) {
         return InstallmentLogic.getStatus(installments[tokenId], block.timestamp);
     }
 
+    /// @notice Next installment due date and amount, what is overdue now and the late fee a payment must cover
+    function getNextInstallment(uint256 tokenId)
+        external
+        view
+        returns (uint256 dueDate, uint256 amountDue, uint256 overdue, uint256 lateFee)
+    {
+        InstallmentLogic.InstallmentPlan storage plan = installments[tokenId];
+        (dueDate, amountDue) = InstallmentLogic.nextDue(plan);
+        overdue = InstallmentLogic.amountOverdue(plan, block.timestamp);
+        lateFee = InstallmentLogic.lateFeeOwed(plan, block.timestamp);
+    }
+
+    /// @notice Schedule terms applied to new loans
+    function installmentTerms() public view returns (InstallmentLogic.Terms memory) {
+        return InstallmentLogic.Terms(loanDuration / maxInstallments, gracePeriod, lateFeeBps, defaultAfter);
+    }
+
     function setLoanDuration(uint256 duration) external onlyOwner {
         loanDuration = duration;
     }
 
     function setMaxInstallments(uint8 num) external onlyOwner {
+        require(num > 0, "Invalid count");
         maxInstallments = num;
     }
+
+    function setLateTerms(uint256 _gracePeriod, uint256 _lateFeeBps, uint256 _defaultAfter) external onlyOwner {
+        InstallmentLogic.validateTerms(InstallmentLogic.Terms(1, _gracePeriod, _lateFeeBps, _defaultAfter));
+        gracePeriod = _gracePeriod;
+        lateFeeBps = _lateFeeBps;
+        defaultAfter = _defaultAfter;
+    }
+
+    // Locks the collateral, records the loan and pays out the principal less the protocol fee
+    function _openLoan(
+        uint256 tokenId,
+        address lender,
+        uint256 aprBps,
+        InstallmentLogic.InstallmentPlan memory plan
+    ) internal {
+        require(!loans[tokenId].active, "Loan exists");
+
+        // Lock NFT into escrow; the borrower approves EscrowManager for the token
+        escrow.lockAsset(tokenId, msg.sender);
+
+        installments[tokenId] = plan;
+        loans[tokenId] = Loan({
+            borrower: msg.sender,
+            amount: plan.totalAmount,
+            paid: 0,
+            createdAt: block.timestamp,
+            deadline: InstallmentLogic.finalDueDate(installments[tokenId]),
+            active: true,
+            aprBps: aprBps,
+            accruedInterest: 0,
+            lastAccrual: block.timestamp,
+            interestPaid: 0,
+            lender: lender
+        });
+
+        // Send loan tokens to borrower, less the origination fee
+        uint256 fee = (plan.totalAmount * originationFeeBps) / BPS_DENOMINATOR;
+        _payFee(fee);
+        require(token.transfer(msg.sender, plan.totalAmount - fee), "Transfer failed");
+
+        emit LoanRequested(tokenId, msg.sender, plan.totalAmount);
+        emit LoanTerms(tokenId, aprBps, fee);
+    }
+
+    // Simple interest on the outstanding principal since the last accrual
+    function _interestSince(Loan memory loan, uint256 timestamp) internal pure returns (uint256) {
+        if (timestamp <= loan.lastAccrual) return 0;
+        return ((loan.amount - loan.paid) * loan.aprBps * (timestamp - loan.lastAccrual)) / (YEAR * BPS_DENOMINATOR);
+    }
+
+    function _accrue(Loan storage loan) internal {
+        loan.accruedInterest += _interestSince(loan, block.timestamp);
+        loan.lastAccrual = block.timestamp;
+    }
+
+    function _owedAt(uint256 tokenId, uint256 timestamp)
+        internal
+        view
+        returns (uint256 principal, uint256 interest, uint256 lateFee)
+    {
+        Loan memory loan = loans[tokenId];
+        if (!loan.active) return (0, 0, 0);
+        principal = loan.amount - loan.paid;
+        interest = loan.accruedInterest + _interestSince(loan, timestamp);
+        lateFee = InstallmentLogic.lateFeeOwed(installments[tokenId], timestamp);
+    }
+
+    // Fee goes through the FeeRouter when one is set, otherwise straight to treasury
+    function _payFee(uint256 amount) internal {
+        if (amount == 0) return;
+        if (address(feeRouter) == address(0)) {
+            require(token.transfer(treasury, amount), "Fee transfer failed");
+            return;
+        }
+        token.approve(address(feeRouter), amount);
+        feeRouter.payFee(FEE_SOURCE_LOAN, address(token), amount);
+    }
 }
@@ -0,0 +1,117 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @notice NFT prices from marketplace settlements. Keeps each token's last sale and a collection floor,
+ * the median of the most recent sales. Only sales in `priceToken` (MFH) are recorded.
+ */
+contract NFTPriceOracle is Ownable {
+    struct Sale {
+        uint256 price;
+        uint256 timestamp;
+    }
+
+    uint256 public constant MAX_SAMPLES = 10;
+
+    address public priceToken;
+    uint256 public maxAge = 7 days; // sales older than this are stale
+    uint256 public minSamples = 3; // fresh sales needed for a floor
+
+    // Marketplace modules allowed to report sales
+    mapping(address => bool) public reporters;
+    mapping(uint256 => Sale) public lastSale;
+
+    // Ring buffer of the latest sales across the collection
+    Sale[MAX_SAMPLES] private recentSales;
+    uint256 public saleCount;
+
+    event SaleRecorded(uint256 indexed tokenId, uint256 price);
+    event ReporterUpdated(address indexed reporter, bool allowed);
+    event StalenessUpdated(uint256 maxAge, uint256 minSamples);
+
+    constructor(address _priceToken) {
+        priceToken = _priceToken;
+    }
+
+    function setReporter(address reporter, bool allowed) external onlyOwner {
+        reporters[reporter] = allowed;
+        emit ReporterUpdated(reporter, allowed);
+    }
+
+    function setStaleness(uint256 _maxAge, uint256 _minSamples) external onlyOwner {
+        require(_maxAge > 0, "Invalid max age");
+        require(_minSamples > 0 && _minSamples <= MAX_SAMPLES, "Invalid sample count");
+        maxAge = _maxAge;
+        minSamples = _minSamples;
+        emit StalenessUpdated(_maxAge, _minSamples);
+    }
+
+    /// @notice Called by marketplace modules on each settled sale; other currencies are ignored
+    function recordSale(uint256 tokenId, address currency, uint256 price) external {
+        require(reporters[msg.sender], "Not reporter");
+        if (currency != priceToken || price == 0) return;
+
+        Sale memory sale = Sale(price, block.timestamp);
+        lastSale[tokenId] = sale;
+        recentSales[saleCount % MAX_SAMPLES] = sale;
+        saleCount++;
+
+        emit SaleRecorded(tokenId, price);
+    }
+
+    /// @notice Median of the fresh recent sales, and how many there were
+    function floorPrice() public view returns (uint256 price, uint256 samples) {
+        uint256[] memory prices = new uint256[](MAX_SAMPLES);
+        uint256 stored = saleCount < MAX_SAMPLES ? saleCount : MAX_SAMPLES;
+
+        for (uint256 i = 0; i < stored; i++) {
+            Sale memory sale = recentSales[i];
+            if (!_isFresh(sale)) continue;
+
+            // Insertion sort; at most MAX_SAMPLES entries
+            uint256 j = samples;
+            while (j > 0 && prices[j - 1] > sale.price) {
+                prices[j] = prices[j - 1];
+                j--;
+            }
+            prices[j] = sale.price;
+            samples++;
+        }
+
+        if (samples == 0) return (0, 0);
+        uint256 mid = samples / 2;
+        price = samples % 2 == 1 ? prices[mid] : (prices[mid - 1] + prices[mid]) / 2;
+    }
+
+    /// @notice Collection floor; reverts without enough fresh sales
+    function collectionFloor() public view returns (uint256) {
+        (uint256 price, uint256 samples) = floorPrice();
+        require(samples >= minSamples, "Insufficient recent sales");
+        return price;
+    }
+
+    /// @notice Last sale of `tokenId`; reverts once stale
+    function tokenPrice(uint256 tokenId) external view returns (uint256) {
+        Sale memory sale = lastSale[tokenId];
+        require(sale.timestamp != 0 && _isFresh(sale), "Stale price");
+        return sale.price;
+    }
+
+    /**
+     * @notice Collateral value: the collection floor, or the token's fresh last sale when that is lower.
+     * One sale can lower the value but never raise it above the floor; once the token's own sale is stale
+     * the floor marks it to market. Reverts without enough fresh sales for a floor.
+     */
+    function valuation(uint256 tokenId) external view returns (uint256) {
+        uint256 floor = collectionFloor();
+        Sale memory sale = lastSale[tokenId];
+        if (sale.timestamp != 0 && _isFresh(sale) && sale.price < floor) return sale.price;
+        return floor;
+    }
+
+    function _isFresh(Sale memory sale) internal view returns (bool) {
+        return block.timestamp - sale.timestamp <= maxAge;
+    }
+}
@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./IInterestRateModel.sol";
+
+/**
+ * @notice Kinked curve: from `baseRate` the APR rises by `slope1` up to the `kink` utilization,
+ * then by `slope2` up to 100% utilization. All values in basis points.
+ */
+contract UtilizationRateModel is IInterestRateModel, Ownable {
+    uint256 public constant BPS_DENOMINATOR = 10000;
+
+    uint256 public baseRate;
+    uint256 public slope1;
+    uint256 public kink;
+    uint256 public slope2;
+
+    event CurveUpdated(uint256 baseRate, uint256 slope1, uint256 kink, uint256 slope2);
+
+    constructor(uint256 _baseRate, uint256 _slope1, uint256 _kink, uint256 _slope2) {
+        _setCurve(_baseRate, _slope1, _kink, _slope2);
+    }
+
+    function setCurve(uint256 _baseRate, uint256 _slope1, uint256 _kink, uint256 _slope2) external onlyOwner {
+        _setCurve(_baseRate, _slope1, _kink, _slope2);
+    }
+
+    function utilization(uint256 borrowed, uint256 available) public pure returns (uint256) {
+        if (borrowed == 0) return 0;
+        return (borrowed * BPS_DENOMINATOR) / (borrowed + available);
+    }
+
+    function borrowRate(uint256 borrowed, uint256 available) external view override returns (uint256) {
+        uint256 util = utilization(borrowed, available);
+        if (util <= kink) {
+            return baseRate + (util * slope1) / kink;
+        }
+        return baseRate + slope1 + ((util - kink) * slope2) / (BPS_DENOMINATOR - kink);
+    }
+
+    function _setCurve(uint256 _baseRate, uint256 _slope1, uint256 _kink, uint256 _slope2) internal {
+        require(_kink > 0 && _kink < BPS_DENOMINATOR, "Invalid kink");
+        baseRate = _baseRate;
+        slope1 = _slope1;
+        kink = _kink;
+        slope2 = _slope2;
+        emit CurveUpdated(_baseRate, _slope1, _kink, _slope2);
+    }
+}
@@ -4,63 +4,304 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "../token/IFeeRouter.sol";
+
+interface IRoyaltyManager {
+    function distributeRoyaltyInToken(address token, uint256 tokenId, uint256 salePrice, address buyer) external;
+    function royaltyInfo(uint256 tokenId, uint256 salePrice) external view returns (address receiver, uint256 royaltyAmount);
+}
+
+interface IBoostEngine {
+    function handleSale(uint256 tokenId) external;
+}
+
+interface IPriceOracle {
+    function recordSale(uint256 tokenId, address currency, uint256 price) external;
+}
+
+interface ILiquidationHandler {
+    function onLiquidationSettled(uint256 tokenId, uint256 proceeds) external;
+}
 
 contract AuctionModule is Ownable {
+    enum AuctionType { English, Dutch }
+
     struct Auction {
         address seller;
-        uint256 minBid;
+        uint256 minBid; // English: opening bid. Dutch: floor price
         uint256 endTime;
         address highestBidder;
         uint256 highestBid;
         bool active;
+        AuctionType auctionType;
+        uint256 reservePrice; // visible reserve, or the revealed hidden one
+        bytes32 reserveHash; // hidden reserve commitment: keccak256(abi.encodePacked(reserve, salt))
+    }
+
+    struct DutchParams {
+        uint256 startPrice;
+        uint256 startTime;
     }
 
     IERC721 public nft;
     IERC20 public paymentToken;
+    address public treasury;
+    IRoyaltyManager public royaltyManager;
+    IFeeRouter public feeRouter; // optional; fees go to treasury while unset
+    IBoostEngine public boostEngine; // optional; sales are reported to it once set
+    IPriceOracle public priceOracle; // optional; sale prices are recorded once set
+
+    uint256 public platformFeeBps = 500; // 5%
+    uint256 public constant BPS_DENOMINATOR = 10000;
+
+    uint256 public softCloseWindow = 10 minutes;
+    uint256 public softCloseExtension = 10 minutes;
+    // After this long past endTime an unrevealed hidden reserve is treated as met
+    uint256 public constant REVEAL_PERIOD = 2 days;
 
     mapping(uint256 => Auction) public auctions;
+    mapping(uint256 => DutchParams) public dutchParams;
+    // Outbid and reserve-not-met refunds, withdrawn by the bidder
+    mapping(address => uint256) public pendingReturns;
+    // Royalty escrowed on top of the highest bid (or Dutch purchase), paid out at settlement
+    mapping(uint256 => uint256) public bidRoyalty;
+
+    // Lending modules allowed to auction defaulted collateral
+    mapping(address => bool) public liquidators;
+    mapping(uint256 => bool) public isLiquidation;
+    uint256 public liquidationDuration = 1 days;
 
     event AuctionStarted(uint256 tokenId, uint256 minBid, uint256 endTime);
+    event DutchAuctionStarted(uint256 tokenId, uint256 startPrice, uint256 endPrice, uint256 endTime);
     event BidPlaced(uint256 tokenId, address bidder, uint256 amount);
+    event AuctionExtended(uint256 tokenId, uint256 newEndTime);
     event AuctionEnded(uint256 tokenId, address winner, uint256 amount);
+    event AuctionReserveNotMet(uint256 tokenId, uint256 highestBid, uint256 reservePrice);
+    event AuctionCancelled(uint256 tokenId);
+    event ReserveRevealed(uint256 tokenId, uint256 reservePrice);
+    event SoftCloseUpdated(uint256 window, uint256 extension);
+    event RefundCredited(uint256 tokenId, address bidder, uint256 amount);
+    event RefundWithdrawn(address bidder, uint256 amount);
+    event LiquidationAuctionStarted(uint256 indexed tokenId, address indexed liquidator, uint256 reserve, uint256 endTime);
+    event LiquidatorUpdated(address indexed liquidator, bool allowed);
+    event AuctionSettled(
+        uint256 tokenId,
+        address seller,
+        uint256 salePrice,
+        uint256 sellerAmount,
+        uint256 feeAmount,
+        uint256 royaltyAmount
+    );
 
-    constructor(address _nft, address _token) {
+    constructor(address _nft, address _token, address _treasury, address _royaltyManager) {
         nft = IERC721(_nft);
         paymentToken = IERC20(_token);
+        treasury = _treasury;
+        royaltyManager = IRoyaltyManager(_royaltyManager);
+    }
+
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury");
+        treasury = _treasury;
+    }
+
+    function setRoyaltyManager(address _rm) external onlyOwner {
+        require(_rm != address(0), "Invalid address");
+        royaltyManager = IRoyaltyManager(_rm);
+    }
+
+    function setFeeRouter(address _router) external onlyOwner {
+        feeRouter = IFeeRouter(_router);
+    }
+
+    function setBoostEngine(address _boostEngine) external onlyOwner {
+        boostEngine = IBoostEngine(_boostEngine);
+    }
+
+    function setPriceOracle(address _oracle) external onlyOwner {
+        priceOracle = IPriceOracle(_oracle);
+    }
+
+    function setPlatformFee(uint256 bps) external onlyOwner {
+        require(bps <= 1000, "Max 10%");
+        platformFeeBps = bps;
+    }
+
+    function setLiquidator(address liquidator, bool allowed) external onlyOwner {
+        liquidators[liquidator] = allowed;
+        emit LiquidatorUpdated(liquidator, allowed);
+    }
+
+    function setLiquidationDuration(uint256 duration) external onlyOwner {
+        require(duration >= 1 hours, "Too short");
+        liquidationDuration = duration;
+    }
+
+    function setSoftClose(uint256 window, uint256 extension) external onlyOwner {
+        require(extension <= 1 days, "Extension too long");
+        // A shorter extension would let a late bid pull the end forward
+        require(extension >= window, "Extension below window");
+        softCloseWindow = window;
+        softCloseExtension = extension;
+        emit SoftCloseUpdated(window, extension);
     }
 
     function startAuction(uint256 tokenId, uint256 minBid, uint256 duration) external {
+        _startEnglish(tokenId, minBid, duration, 0, bytes32(0));
+    }
+
+    /**
+     * @notice English auction with a reserve. Pass `reservePrice` for a visible reserve, or
+     * `reserveHash` = keccak256(abi.encodePacked(reserve, salt)) for a hidden one revealed after the end.
+     */
+    function startReserveAuction(
+        uint256 tokenId,
+        uint256 minBid,
+        uint256 duration,
+        uint256 reservePrice,
+        bytes32 reserveHash
+    ) external {
+        require(reservePrice == 0 || reserveHash == bytes32(0), "Visible or hidden reserve");
+        require(reservePrice == 0 || reservePrice >= minBid, "Reserve below min bid");
+        _startEnglish(tokenId, minBid, duration, reservePrice, reserveHash);
+    }
+
+    /**
+     * @notice English auction of defaulted collateral held by a lending module, opening at `reserve` (the debt
+     * plus the liquidator's bonus). The module is the seller: it receives the whole winning bid, free of fee and
+     * royalty, or the NFT back if nobody bids, and is notified through onLiquidationSettled either way.
+     */
+    function startLiquidationAuction(uint256 tokenId, uint256 reserve) external {
+        require(liquidators[msg.sender], "Not liquidator");
+        require(reserve > 0, "Invalid reserve");
+        isLiquidation[tokenId] = true;
+        _startEnglish(tokenId, reserve, liquidationDuration, reserve, bytes32(0));
+
+        emit LiquidationAuctionStarted(tokenId, msg.sender, reserve, block.timestamp + liquidationDuration);
+    }
+
+    /// @notice Descending-price auction: price falls linearly from `startPrice` to `endPrice` over `duration`
+    function startDutchAuction(uint256 tokenId, uint256 startPrice, uint256 endPrice, uint256 duration) external {
         require(nft.ownerOf(tokenId) == msg.sender, "Not owner");
         require(duration >= 1 hours, "Too short");
+        require(startPrice > endPrice && endPrice > 0, "Invalid prices");
 
         nft.transferFrom(msg.sender, address(this), tokenId);
         auctions[tokenId] = Auction({
             seller: msg.sender,
-            minBid: minBid,
+            minBid: endPrice,
             endTime: block.timestamp + duration,
             highestBidder: address(0),
             highestBid: 0,
-            active: true
+            active: true,
+            auctionType: AuctionType.Dutch,
+            reservePrice: 0,
+            reserveHash: bytes32(0)
         });
+        dutchParams[tokenId] = DutchParams(startPrice, block.timestamp);
 
-        emit AuctionStarted(tokenId, minBid, block.timestamp + duration);
+        emit DutchAuctionStarted(tokenId, startPrice, endPrice, block.timestamp + duration);
     }
 
     function placeBid(uint256 tokenId, uint256 amount) external {
         Auction storage auction = auctions[tokenId];
         require(auction.active, "Not active");
+        require(auction.auctionType == AuctionType.English, "Not English auction");
         require(block.timestamp < auction.endTime, "Auction ended");
         require(amount > auction.highestBid && amount >= auction.minBid, "Low bid");
 
         if (auction.highestBid > 0) {
-            paymentToken.transfer(auction.highestBidder, auction.highestBid);
+            _creditRefund(tokenId, auction.highestBidder, auction.highestBid + bidRoyalty[tokenId]);
         }
 
-        paymentToken.transferFrom(msg.sender, address(this), amount);
+        // As buyNFT charges the royalty on top of the price, bidders escrow it on top of the bid
+        uint256 royalty = isLiquidation[tokenId] ? 0 : _royaltyOn(tokenId, amount);
+        paymentToken.transferFrom(msg.sender, address(this), amount + royalty);
         auction.highestBid = amount;
         auction.highestBidder = msg.sender;
+        bidRoyalty[tokenId] = royalty;
 
         emit BidPlaced(tokenId, msg.sender, amount);
+
+        // Soft close: a late bid pushes the end out so others can respond, never earlier
+        if (auction.endTime - block.timestamp < softCloseWindow && block.timestamp + softCloseExtension > auction.endTime) {
+            auction.endTime = block.timestamp + softCloseExtension;
+            emit AuctionExtended(tokenId, auction.endTime);
+        }
+    }
+
+    /// @notice Buy a Dutch auction at the current price, plus the royalty on top; the first buyer wins
+    function buyDutch(uint256 tokenId) external {
+        Auction memory auction = auctions[tokenId];
+        require(auction.active, "Not active");
+        require(auction.auctionType == AuctionType.Dutch, "Not Dutch auction");
+        require(block.timestamp < auction.endTime, "Auction ended");
+
+        uint256 price = currentPrice(tokenId);
+        auctions[tokenId].active = false;
+        auctions[tokenId].highestBidder = msg.sender;
+        auctions[tokenId].highestBid = price;
+        uint256 royalty = _royaltyOn(tokenId, price);
+        bidRoyalty[tokenId] = royalty;
+
+        paymentToken.transferFrom(msg.sender, address(this), price + royalty);
+        nft.transferFrom(address(this), msg.sender, tokenId);
+        _settle(tokenId, auction.seller, price, false);
+
+        emit AuctionEnded(tokenId, msg.sender, price);
+    }
+
+    function withdrawRefund() external {
+        uint256 amount = pendingReturns[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        pendingReturns[msg.sender] = 0;
+        require(paymentToken.transfer(msg.sender, amount), "Refund failed");
+
+        emit RefundWithdrawn(msg.sender, amount);
+    }
+
+    /// @notice Seller of the active auction holding `tokenId`, or address(0) if there is none
+    function sellerOf(uint256 tokenId) external view returns (address) {
+        Auction storage auction = auctions[tokenId];
+        return auction.active ? auction.seller : address(0);
+    }
+
+    function currentPrice(uint256 tokenId) public view returns (uint256) {
+        Auction memory auction = auctions[tokenId];
+        require(auction.auctionType == AuctionType.Dutch, "Not Dutch auction");
+        if (block.timestamp >= auction.endTime) return auction.minBid;
+
+        DutchParams memory d = dutchParams[tokenId];
+        uint256 elapsed = block.timestamp - d.startTime;
+        uint256 duration = auction.endTime - d.startTime;
+        return d.startPrice - ((d.startPrice - auction.minBid) * elapsed) / duration;
+    }
+
+    /// @notice Seller can pull an English auction with no bids, or an unsold Dutch auction
+    function cancelAuction(uint256 tokenId) external {
+        Auction memory auction = auctions[tokenId];
+        require(auction.active, "Not active");
+        require(auction.seller == msg.sender, "Not seller");
+        require(auction.highestBid == 0, "Has bids");
+        require(!isLiquidation[tokenId], "Liquidation auction");
+
+        auctions[tokenId].active = false;
+        nft.transferFrom(address(this), auction.seller, tokenId);
+
+        emit AuctionCancelled(tokenId);
+    }
+
+    function revealReserve(uint256 tokenId, uint256 reserve, bytes32 salt) external {
+        Auction storage auction = auctions[tokenId];
+        require(auction.seller == msg.sender, "Not seller");
+        require(auction.reserveHash != bytes32(0), "No hidden reserve");
+        require(keccak256(abi.encodePacked(reserve, salt)) == auction.reserveHash, "Invalid reveal");
+
+        auction.reservePrice = reserve;
+        auction.reserveHash = bytes32(0);
+
+        emit ReserveRevealed(tokenId, reserve);
     }
 
     function finalizeAuction(uint256 tokenId) external {
@@ -68,14 +309,128 @@ contract AuctionModule is Ownable {
         require(auction.active, "Already finalized");
         require(block.timestamp >= auction.endTime, "Too early");
 
+        if (auction.highestBid > 0 && auction.reserveHash != bytes32(0)) {
+            // Hidden reserve still sealed: give the seller time to reveal before treating it as met
+            require(block.timestamp >= auction.endTime + REVEAL_PERIOD, "Reserve not revealed");
+            auction.reservePrice = 0;
+        }
+
         auctions[tokenId].active = false;
 
+        if (isLiquidation[tokenId]) {
+            _finalizeLiquidation(tokenId, auction);
+        } else if (auction.highestBid > 0 && auction.highestBid >= auction.reservePrice) {
+            nft.transferFrom(address(this), auction.highestBidder, tokenId);
+            _settle(tokenId, auction.seller, auction.highestBid, false);
+            emit AuctionEnded(tokenId, auction.highestBidder, auction.highestBid);
+        } else if (auction.highestBid > 0) {
+            _creditRefund(tokenId, auction.highestBidder, auction.highestBid + bidRoyalty[tokenId]);
+            delete bidRoyalty[tokenId];
+            nft.transferFrom(address(this), auction.seller, tokenId);
+            emit AuctionReserveNotMet(tokenId, auction.highestBid, auction.reservePrice);
+        } else {
+            nft.transferFrom(address(this), auction.seller, tokenId);
+        }
+    }
+
+    // Bids open at the reserve, so any bid sells. The lending module is told what it received
+    function _finalizeLiquidation(uint256 tokenId, Auction memory auction) internal {
+        delete isLiquidation[tokenId];
+        uint256 proceeds;
         if (auction.highestBid > 0) {
             nft.transferFrom(address(this), auction.highestBidder, tokenId);
-            paymentToken.transfer(auction.seller, auction.highestBid);
+            proceeds = _settle(tokenId, auction.seller, auction.highestBid, true);
             emit AuctionEnded(tokenId, auction.highestBidder, auction.highestBid);
         } else {
             nft.transferFrom(address(this), auction.seller, tokenId);
         }
+        ILiquidationHandler(auction.seller).onLiquidationSettled(tokenId, proceeds);
+    }
+
+    function _creditRefund(uint256 tokenId, address bidder, uint256 amount) internal {
+        pendingReturns[bidder] += amount;
+        emit RefundCredited(tokenId, bidder, amount);
+    }
+
+    // Same split as MarketplaceCore.buyNFT: the seller gets the winning bid less the platform fee, and the
+    // royalty the winner escrowed on top goes to RoyaltyManager; any of it left unclaimed is refunded.
+    // Liquidations pay neither, so a bid at the reserve repays the lending module's debt in full.
+    function _settle(uint256 tokenId, address seller, uint256 amount, bool liquidation)
+        internal
+        returns (uint256 sellerAmount)
+    {
+        uint256 feeAmount;
+        uint256 royaltyAmount;
+        uint256 royaltyHeld = bidRoyalty[tokenId];
+        delete bidRoyalty[tokenId];
+        if (!liquidation) {
+            feeAmount = (amount * platformFeeBps) / BPS_DENOMINATOR;
+
+            // RoyaltyManager pulls from the payer, which is this contract, up to the escrowed royalty
+            uint256 balanceBefore = paymentToken.balanceOf(address(this));
+            paymentToken.approve(address(royaltyManager), royaltyHeld);
+            royaltyManager.distributeRoyaltyInToken(address(paymentToken), tokenId, amount, address(this));
+            paymentToken.approve(address(royaltyManager), 0);
+            royaltyAmount = balanceBefore - paymentToken.balanceOf(address(this));
+            if (royaltyHeld > royaltyAmount) {
+                _creditRefund(tokenId, auctions[tokenId].highestBidder, royaltyHeld - royaltyAmount);
+            }
+        }
+
+        sellerAmount = amount - feeAmount;
+
+        _payFee(feeAmount);
+        require(paymentToken.transfer(seller, sellerAmount), "Payment failed");
+
+        _notifySale(tokenId);
+        if (address(priceOracle) != address(0)) priceOracle.recordSale(tokenId, address(paymentToken), amount);
+
+        emit AuctionSettled(tokenId, seller, amount, sellerAmount, feeAmount, royaltyAmount);
+    }
+
+    function _royaltyOn(uint256 tokenId, uint256 amount) internal view returns (uint256 royalty) {
+        (, royalty) = royaltyManager.royaltyInfo(tokenId, amount);
+    }
+
+    // Lets BoostEngine move or refund the remaining boost of a sold token
+    function _notifySale(uint256 tokenId) internal {
+        if (address(boostEngine) != address(0)) boostEngine.handleSale(tokenId);
+    }
+
+    // Fee goes through the FeeRouter when one is set, otherwise straight to treasury
+    function _payFee(uint256 amount) internal {
+        if (amount == 0) return;
+        if (address(feeRouter) == address(0)) {
+            require(paymentToken.transfer(treasury, amount), "Fee transfer failed");
+            return;
+        }
+        paymentToken.approve(address(feeRouter), amount);
+        feeRouter.payFee(FEE_SOURCE_SALE, address(paymentToken), amount);
+    }
+
+    function _startEnglish(
+        uint256 tokenId,
+        uint256 minBid,
+        uint256 duration,
+        uint256 reservePrice,
+        bytes32 reserveHash
+    ) internal {
+        require(nft.ownerOf(tokenId) == msg.sender, "Not owner");
+        require(duration >= 1 hours, "Too short");
+
+        nft.transferFrom(msg.sender, address(this), tokenId);
+        auctions[tokenId] = Auction({
+            seller: msg.sender,
+            minBid: minBid,
+            endTime: block.timestamp + duration,
+            highestBidder: address(0),
+            highestBid: 0,
+            active: true,
+            auctionType: AuctionType.English,
+            reservePrice: reservePrice,
+            reserveHash: reserveHash
+        });
+
+        emit AuctionStarted(tokenId, minBid, block.timestamp + duration);
     }
 }
@@ -4,58 +4,281 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "../token/IFeeRouter.sol";
+
+interface IRoyaltyManager {
+    function distributeRoyaltyInToken(address token, uint256 tokenId, uint256 salePrice, address buyer) external;
+}
+
+interface IBoostEngine {
+    function handleSale(uint256 tokenId) external;
+}
 
 contract BiddingSystem is Ownable {
     struct Bid {
         address bidder;
         uint256 amount;
+        uint256 expiresAt;
+    }
+
+    /// @notice Offer on any token of the collection, or on a Merkle-committed set of token IDs
+    struct CollectionOffer {
+        address bidder;
+        uint256 pricePerItem;
+        uint256 quantity; // fills remaining
+        uint256 expiresAt;
+        bytes32 merkleRoot; // bytes32(0) = any token
     }
 
     IERC721 public nft;
     IERC20 public token;
+    address public treasury;
+    IRoyaltyManager public royaltyManager;
+    IFeeRouter public feeRouter; // optional; fees go to treasury while unset
+    IBoostEngine public boostEngine; // optional; sales are reported to it once set
+
+    uint256 public platformFeeBps = 500; // 5%
+    uint256 public constant BPS_DENOMINATOR = 10000;
 
     mapping(uint256 => Bid[]) public bids;
+    // tokenId => bidder => index in bids[tokenId] + 1 (0 = no bid)
+    mapping(uint256 => mapping(address => uint256)) private bidSlot;
+
+    uint256 public nextOfferId = 1;
+    mapping(uint256 => CollectionOffer) public collectionOffers;
 
-    event BidPlaced(uint256 tokenId, address bidder, uint256 amount);
+    event BidPlaced(uint256 tokenId, address bidder, uint256 amount, uint256 expiresAt);
     event BidAccepted(uint256 tokenId, address winner, uint256 amount);
     event BidCancelled(uint256 tokenId, address bidder);
+    event BidExpiredRefund(uint256 tokenId, address bidder, uint256 amount, address caller);
+    event CollectionOfferPlaced(uint256 indexed offerId, address indexed bidder, uint256 pricePerItem, uint256 quantity, uint256 expiresAt, bytes32 merkleRoot);
+    event CollectionOfferFilled(uint256 indexed offerId, uint256 tokenId, address seller, uint256 remaining);
+    event CollectionOfferCancelled(uint256 indexed offerId, address bidder, uint256 refund);
+    event BidSettled(uint256 tokenId, address seller, uint256 sellerAmount, uint256 feeAmount, uint256 royaltyAmount);
 
-    constructor(address _nft, address _token) {
+    constructor(address _nft, address _token, address _treasury, address _royaltyManager) {
         nft = IERC721(_nft);
         token = IERC20(_token);
+        treasury = _treasury;
+        royaltyManager = IRoyaltyManager(_royaltyManager);
+    }
+
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury");
+        treasury = _treasury;
+    }
+
+    function setRoyaltyManager(address _rm) external onlyOwner {
+        require(_rm != address(0), "Invalid address");
+        royaltyManager = IRoyaltyManager(_rm);
+    }
+
+    function setFeeRouter(address _router) external onlyOwner {
+        feeRouter = IFeeRouter(_router);
+    }
+
+    function setBoostEngine(address _boostEngine) external onlyOwner {
+        boostEngine = IBoostEngine(_boostEngine);
+    }
+
+    function setPlatformFee(uint256 bps) external onlyOwner {
+        require(bps <= 1000, "Max 10%");
+        platformFeeBps = bps;
     }
 
-    function placeBid(uint256 tokenId, uint256 amount) external {
+    /**
+     * @notice Place a bid, or raise your existing bid on `tokenId` to `amount`.
+     * @dev Only the difference is pulled when raising. `expiresAt` replaces the previous expiry.
+     */
+    function placeBid(uint256 tokenId, uint256 amount, uint256 expiresAt) external {
         require(amount > 0, "Zero bid");
-        token.transferFrom(msg.sender, address(this), amount);
-        bids[tokenId].push(Bid(msg.sender, amount));
+        require(expiresAt > block.timestamp, "Invalid expiry");
+
+        uint256 slot = bidSlot[tokenId][msg.sender];
+        if (slot == 0) {
+            token.transferFrom(msg.sender, address(this), amount);
+            bids[tokenId].push(Bid(msg.sender, amount, expiresAt));
+            bidSlot[tokenId][msg.sender] = bids[tokenId].length;
+        } else {
+            Bid storage existing = bids[tokenId][slot - 1];
+            require(amount > existing.amount, "Must raise bid");
+            token.transferFrom(msg.sender, address(this), amount - existing.amount);
+            existing.amount = amount;
+            existing.expiresAt = expiresAt;
+        }
 
-        emit BidPlaced(tokenId, msg.sender, amount);
+        emit BidPlaced(tokenId, msg.sender, amount, expiresAt);
     }
 
     function cancelBid(uint256 tokenId) external {
-        Bid[] storage list = bids[tokenId];
-        for (uint i = 0; i < list.length; i++) {
-            if (list[i].bidder == msg.sender) {
-                token.transfer(msg.sender, list[i].amount);
-                list[i] = list[list.length - 1];
-                list.pop();
-                emit BidCancelled(tokenId, msg.sender);
-                return;
-            }
-        }
-        revert("No bid found");
+        uint256 slot = bidSlot[tokenId][msg.sender];
+        require(slot > 0, "No bid found");
+
+        uint256 amount = bids[tokenId][slot - 1].amount;
+        _removeBid(tokenId, slot - 1);
+        token.transfer(msg.sender, amount);
+
+        emit BidCancelled(tokenId, msg.sender);
+    }
+
+    /// @notice Refund an expired bid to its bidder. Callable by anyone.
+    function refundExpiredBid(uint256 tokenId, address bidder) external {
+        uint256 slot = bidSlot[tokenId][bidder];
+        require(slot > 0, "No bid found");
+
+        Bid memory expired = bids[tokenId][slot - 1];
+        require(block.timestamp >= expired.expiresAt, "Bid not expired");
+
+        _removeBid(tokenId, slot - 1);
+        token.transfer(bidder, expired.amount);
+
+        emit BidExpiredRefund(tokenId, bidder, expired.amount, msg.sender);
     }
 
-    function acceptBid(uint256 tokenId, uint256 index) external {
-        Bid memory accepted = bids[tokenId][index];
+    /**
+     * @notice Accept `bidder`'s bid, split as in MarketplaceCore.buyNFT: the seller gets the escrowed bid less
+     * the platform fee, and the bidder pays the royalty on top through RoyaltyManager, which they approve
+     * beforehand. Other bids stay open.
+     */
+    function acceptBid(uint256 tokenId, address bidder) external {
+        uint256 slot = bidSlot[tokenId][bidder];
+        require(slot > 0, "No bid found");
         require(nft.ownerOf(tokenId) == msg.sender, "Not owner");
 
-        nft.transferFrom(msg.sender, accepted.bidder, tokenId);
-        token.transfer(msg.sender, accepted.amount);
+        Bid memory accepted = bids[tokenId][slot - 1];
+        require(block.timestamp < accepted.expiresAt, "Bid expired");
 
-        delete bids[tokenId];
+        _removeBid(tokenId, slot - 1);
+
+        nft.transferFrom(msg.sender, accepted.bidder, tokenId);
+        _settle(tokenId, msg.sender, accepted.bidder, accepted.amount);
 
         emit BidAccepted(tokenId, accepted.bidder, accepted.amount);
     }
+
+    /**
+     * @notice Offer `pricePerItem` for up to `quantity` tokens. With a non-zero `merkleRoot` only token IDs
+     * in the tree (leaf = keccak256(abi.encodePacked(tokenId))) can fill it. Escrows the full amount.
+     */
+    function placeCollectionOffer(
+        uint256 pricePerItem,
+        uint256 quantity,
+        uint256 expiresAt,
+        bytes32 merkleRoot
+    ) external returns (uint256 offerId) {
+        require(pricePerItem > 0, "Zero bid");
+        require(quantity > 0, "Zero quantity");
+        require(expiresAt > block.timestamp, "Invalid expiry");
+
+        token.transferFrom(msg.sender, address(this), pricePerItem * quantity);
+
+        offerId = nextOfferId++;
+        collectionOffers[offerId] = CollectionOffer({
+            bidder: msg.sender,
+            pricePerItem: pricePerItem,
+            quantity: quantity,
+            expiresAt: expiresAt,
+            merkleRoot: merkleRoot
+        });
+
+        emit CollectionOfferPlaced(offerId, msg.sender, pricePerItem, quantity, expiresAt, merkleRoot);
+    }
+
+    /// @notice Sell `tokenId` into a collection offer, settled like acceptBid. `proof` is ignored for collection-wide offers.
+    function acceptCollectionOffer(uint256 offerId, uint256 tokenId, bytes32[] calldata proof) external {
+        CollectionOffer storage offer = collectionOffers[offerId];
+        require(offer.quantity > 0, "Offer not active");
+        require(block.timestamp < offer.expiresAt, "Offer expired");
+        require(nft.ownerOf(tokenId) == msg.sender, "Not owner");
+        require(msg.sender != offer.bidder, "Bidder cannot fill");
+
+        if (offer.merkleRoot != bytes32(0)) {
+            bytes32 leaf = keccak256(abi.encodePacked(tokenId));
+            require(MerkleProof.verify(proof, offer.merkleRoot, leaf), "Token not eligible");
+        }
+
+        offer.quantity -= 1;
+        address bidder = offer.bidder;
+        uint256 price = offer.pricePerItem;
+        uint256 remaining = offer.quantity;
+
+        nft.transferFrom(msg.sender, bidder, tokenId);
+        _settle(tokenId, msg.sender, bidder, price);
+
+        emit CollectionOfferFilled(offerId, tokenId, msg.sender, remaining);
+        emit BidAccepted(tokenId, bidder, price);
+    }
+
+    /// @notice Withdraw the unfilled part of an offer. The bidder can cancel anytime; anyone can once expired.
+    function cancelCollectionOffer(uint256 offerId) external {
+        CollectionOffer memory offer = collectionOffers[offerId];
+        require(offer.quantity > 0, "Offer not active");
+        require(msg.sender == offer.bidder || block.timestamp >= offer.expiresAt, "Not bidder");
+
+        uint256 refund = offer.pricePerItem * offer.quantity;
+        delete collectionOffers[offerId];
+        token.transfer(offer.bidder, refund);
+
+        emit CollectionOfferCancelled(offerId, offer.bidder, refund);
+    }
+
+    function getBids(uint256 tokenId) external view returns (Bid[] memory) {
+        return bids[tokenId];
+    }
+
+    function getBid(uint256 tokenId, address bidder) external view returns (Bid memory) {
+        uint256 slot = bidSlot[tokenId][bidder];
+        require(slot > 0, "No bid found");
+        return bids[tokenId][slot - 1];
+    }
+
+    // Same split as MarketplaceCore.buyNFT: the seller gets the bid less the platform fee, and
+    // RoyaltyManager pulls the royalty on top from the bidder
+    function _settle(uint256 tokenId, address seller, address bidder, uint256 amount) internal {
+        uint256 feeAmount = (amount * platformFeeBps) / BPS_DENOMINATOR;
+
+        uint256 balanceBefore = token.balanceOf(bidder);
+        royaltyManager.distributeRoyaltyInToken(address(token), tokenId, amount, bidder);
+        uint256 royaltyAmount = balanceBefore - token.balanceOf(bidder);
+
+        uint256 sellerAmount = amount - feeAmount;
+
+        _payFee(feeAmount);
+        require(token.transfer(seller, sellerAmount), "Payment failed");
+
+        _notifySale(tokenId);
+
+        emit BidSettled(tokenId, seller, sellerAmount, feeAmount, royaltyAmount);
+    }
+
+    // Lets BoostEngine move or refund the remaining boost of a sold token
+    function _notifySale(uint256 tokenId) internal {
+        if (address(boostEngine) != address(0)) boostEngine.handleSale(tokenId);
+    }
+
+    // Fee goes through the FeeRouter when one is set, otherwise straight to treasury
+    function _payFee(uint256 amount) internal {
+        if (amount == 0) return;
+        if (address(feeRouter) == address(0)) {
+            require(token.transfer(treasury, amount), "Fee transfer failed");
+            return;
+        }
+        token.approve(address(feeRouter), amount);
+        feeRouter.payFee(FEE_SOURCE_SALE, address(token), amount);
+    }
+
+    // Swap-and-pop, keeping bidSlot in sync
+    function _removeBid(uint256 tokenId, uint256 index) internal {
+        Bid[] storage list = bids[tokenId];
+        address removed = list[index].bidder;
+        uint256 last = list.length - 1;
+
+        if (index != last) {
+            list[index] = list[last];
+            bidSlot[tokenId][list[index].bidder] = index + 1;
+        }
+        list.pop();
+        delete bidSlot[tokenId][removed];
+    }
 }
@@ -4,18 +4,56 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol";
+import "../finance/InstallmentLogic.sol";
 
 interface IEscrowManager {
-    function lockAsset(address nft, uint256 tokenId) external;
-    function releaseAsset(address nft, uint256 tokenId, address to) external;
+    function lockAsset(uint256 tokenId, address depositor) external;
+    function releaseAsset(uint256 tokenId, address recipient) external;
 }
 
-contract BuyNowPayLater is Ownable {
+interface IMarketplaceCore {
+    function takeFinancedListing(uint256 tokenId, address buyer)
+        external
+        returns (address seller, uint256 price, address currency);
+    function payFinancedRoyalty(uint256 tokenId, address buyer, uint256 price, address currency) external;
+    function payFinancedSale(uint256 tokenId, address seller, uint256 amount, address currency) external;
+}
+
+interface INFTPriceOracle {
+    function valuation(uint256 tokenId) external view returns (uint256);
+}
+
+interface ILiquidationAuction {
+    function startLiquidationAuction(uint256 tokenId, uint256 reserve) external;
+}
+
+contract BuyNowPayLater is Ownable, ERC721Holder {
     IERC20 public paymentToken;
     IERC721 public nft;
     IEscrowManager public escrow;
+    IMarketplaceCore public marketplace;
+    ILiquidationAuction public auctionModule; // sells the NFT of defaulted plans
+    address public treasury;
+    // Optional; while set it pays sellers upfront (having approved this contract) and is repaid by installments
+    address public financingPool;
+    INFTPriceOracle public oracle; // values the NFT of pool-financed purchases
+
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public liquidationBonusBps = 200; // 2% of the debt, added to the liquidation auction reserve
+    uint256 public minDownPaymentBps = 2000; // 20% of the listing price
+    // Pool-financed balance over the oracle valuation (floor-bounded), in basis points
+    uint256 public maxLtvBps = 5000;
+    // Seller-financed plans: share of the held down payment the seller keeps on default, rest to treasury
+    uint256 public defaultSellerShareBps = 5000;
 
     uint256 public defaultInstallments = 3;
+    InstallmentLogic.Terms public installmentTerms = InstallmentLogic.Terms({
+        period: 10 days,
+        gracePeriod: 3 days,
+        lateFeeBps: 500,
+        defaultAfter: 14 days
+    });
 
     struct BNPL {
         address buyer;
@@ -24,68 +62,259 @@ contract BuyNowPayLater is Ownable {
         uint256 paid;
         uint256 deadline;
         uint8 installments;
+        address seller;
+        address funder; // financing pool that paid the seller upfront; address(0) = paid as installments arrive
     }
 
     mapping(uint256 => BNPL) public plans;
+    // Schedule for the balance after the down payment
+    mapping(uint256 => InstallmentLogic.InstallmentPlan) public schedules;
+
+    /// @notice Defaulted plan whose NFT is being auctioned
+    struct Liquidation {
+        address buyer;
+        address liquidator;
+        uint256 debt; // unpaid balance and late fees when defaulted
+        address creditor; // funder, or the seller of a seller-financed plan
+        uint256 bonus; // liquidator's share, added to the auction reserve on top of the debt
+    }
+
+    mapping(uint256 => Liquidation) public liquidations;
 
     event BNPLStarted(uint256 tokenId, address buyer);
+    event BNPLPurchased(uint256 indexed tokenId, address indexed buyer, address indexed seller, uint256 price, uint256 downPayment, address funder);
     event InstallmentPaid(uint256 tokenId, uint256 amount);
+    event LateFeePaid(uint256 indexed tokenId, uint256 fee);
+    event BNPLCompleted(uint256 indexed tokenId, address indexed buyer);
     event BNPLDefaulted(uint256 tokenId);
+    event DownPaymentSplit(uint256 indexed tokenId, uint256 toSeller, uint256 toTreasury);
+    event LiquidationSettled(uint256 indexed tokenId, uint256 proceeds, uint256 repaid, uint256 bonus, uint256 surplus);
 
     constructor(address _nft, address _token, address _escrow) {
         nft = IERC721(_nft);
         paymentToken = IERC20(_token);
         escrow = IEscrowManager(_escrow);
+        treasury = msg.sender;
+    }
+
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury");
+        treasury = _treasury;
+    }
+
+    function setMarketplace(address _marketplace) external onlyOwner {
+        marketplace = IMarketplaceCore(_marketplace);
+    }
+
+    function setFinancingPool(address _pool) external onlyOwner {
+        financingPool = _pool;
+    }
+
+    function setOracle(address _oracle) external onlyOwner {
+        oracle = INFTPriceOracle(_oracle);
+    }
+
+    function setMaxLtv(uint256 bps) external onlyOwner {
+        require(bps > 0 && bps <= BPS_DENOMINATOR, "Invalid LTV");
+        maxLtvBps = bps;
+    }
+
+    function setAuctionModule(address _auctionModule) external onlyOwner {
+        auctionModule = ILiquidationAuction(_auctionModule);
+    }
+
+    function setLiquidationBonus(uint256 bps) external onlyOwner {
+        require(bps <= 1000, "Max 10%");
+        liquidationBonusBps = bps;
+    }
+
+    function setMinDownPayment(uint256 bps) external onlyOwner {
+        require(bps > 0 && bps < BPS_DENOMINATOR, "Invalid down payment");
+        minDownPaymentBps = bps;
     }
 
-    function initiateBNPL(uint256 tokenId, uint256 totalPrice, uint256 downPayment) external {
-        require(nft.ownerOf(tokenId) == msg.sender, "Not owner");
-        require(totalPrice > 0 && downPayment > 0, "Invalid terms");
+    function setDefaultSplit(uint256 sellerShareBps) external onlyOwner {
+        require(sellerShareBps <= BPS_DENOMINATOR, "Invalid split");
+        defaultSellerShareBps = sellerShareBps;
+    }
+
+    /**
+     * @notice Buy a MarketplaceCore listing for `downPayment` now and the rest in `defaultInstallments`
+     * installments. The royalty on the full price is charged now, on top, as in buyNFT; the buyer approves
+     * RoyaltyManager for it. The NFT is held in EscrowManager until the last one is paid. With a financing pool
+     * the seller is paid in full now, and the pool lends at most maxLtvBps of the NFT's oracle valuation;
+     * otherwise each installment goes to the seller as it arrives and the down payment follows with the last one.
+     */
+    function buyWithBNPL(uint256 tokenId, uint256 downPayment) external {
+        require(address(marketplace) != address(0), "No marketplace");
 
-        nft.transferFrom(msg.sender, address(escrow), tokenId);
-        escrow.lockAsset(address(nft), tokenId);
+        (address seller, uint256 price, address currency) = marketplace.takeFinancedListing(tokenId, msg.sender);
+        require(currency == address(paymentToken), "Unsupported currency");
+        require(downPayment < price && downPayment * BPS_DENOMINATOR >= price * minDownPaymentBps, "Invalid down payment");
+
+        require(paymentToken.transferFrom(msg.sender, address(this), downPayment), "Payment failed");
+        marketplace.payFinancedRoyalty(tokenId, msg.sender, price, currency);
+        address funder = financingPool;
+        if (funder != address(0)) {
+            require(address(oracle) != address(0), "No oracle");
+            require(
+                (price - downPayment) * BPS_DENOMINATOR <= oracle.valuation(tokenId) * maxLtvBps,
+                "Exceeds max LTV"
+            );
+            require(paymentToken.transferFrom(funder, address(this), price - downPayment), "Financing failed");
+            _paySeller(tokenId, seller, price);
+        }
+
+        // Lock NFT into escrow; it was delivered here by the marketplace
+        nft.approve(address(escrow), tokenId);
+        escrow.lockAsset(tokenId, address(this));
+
+        schedules[tokenId] = InstallmentLogic.createPlan(
+            price - downPayment,
+            defaultInstallments,
+            block.timestamp,
+            installmentTerms
+        );
 
         plans[tokenId] = BNPL({
             buyer: msg.sender,
-            totalPrice: totalPrice,
+            totalPrice: price,
             downPayment: downPayment,
             paid: downPayment,
-            deadline: block.timestamp + 30 days,
-            installments: uint8(defaultInstallments)
+            deadline: InstallmentLogic.finalDueDate(schedules[tokenId]),
+            installments: uint8(defaultInstallments),
+            seller: seller,
+            funder: funder
         });
 
         emit BNPLStarted(tokenId, msg.sender);
+        emit BNPLPurchased(tokenId, msg.sender, seller, price, downPayment, funder);
     }
 
+    /// @notice Pay towards the schedule, late fee first. Funds go to the funder, or to the seller.
     function payInstallment(uint256 tokenId, uint256 amount) external {
         BNPL storage plan = plans[tokenId];
         require(plan.buyer == msg.sender, "Not buyer");
-        require(block.timestamp <= plan.deadline, "Deadline passed");
-        require(plan.paid + amount <= plan.totalPrice, "Overpay");
+        require(!InstallmentLogic.isDefaulted(schedules[tokenId], block.timestamp), "Plan defaulted");
 
-        paymentToken.transferFrom(msg.sender, address(this), amount);
-        plan.paid += amount;
+        (uint256 remaining, uint256 lateFee) = InstallmentLogic.payInstallment(schedules[tokenId], amount, block.timestamp);
+        require(paymentToken.transferFrom(msg.sender, address(this), amount), "Payment failed");
+        plan.paid += amount - lateFee;
+        _payCreditor(tokenId, plan, amount);
 
+        if (lateFee > 0) emit LateFeePaid(tokenId, lateFee);
         emit InstallmentPaid(tokenId, amount);
 
-        if (plan.paid == plan.totalPrice) {
-            escrow.releaseAsset(address(nft), tokenId, plan.buyer);
+        if (remaining == 0) {
+            // Seller-financed: the held down payment completes the seller's price
+            if (plan.funder == address(0)) _paySeller(tokenId, plan.seller, plan.downPayment);
+            address buyer = plan.buyer;
             delete plans[tokenId];
+            delete schedules[tokenId];
+            escrow.releaseAsset(tokenId, buyer);
+
+            emit BNPLCompleted(tokenId, buyer);
         }
     }
 
-    function defaulted(uint256 tokenId) external onlyOwner {
-        BNPL storage plan = plans[tokenId];
-        require(block.timestamp > plan.deadline, "Still active");
+    /**
+     * @notice Put the NFT of a defaulted plan up for auction, with the unpaid balance plus the bonus as reserve.
+     * Callable by anyone; the caller earns the liquidation bonus when the auction settles. A held
+     * down payment is split between seller and treasury by defaultSellerShareBps.
+     */
+    function defaulted(uint256 tokenId) external {
+        BNPL memory plan = plans[tokenId];
+        require(plan.buyer != address(0), "No plan");
+        require(address(auctionModule) != address(0), "No auction module");
+        InstallmentLogic.InstallmentPlan storage schedule = schedules[tokenId];
+        require(InstallmentLogic.isDefaulted(schedule, block.timestamp), "Still active");
 
-        escrow.releaseAsset(address(nft), tokenId, owner());
+        uint256 debt = schedule.totalAmount - schedule.paidAmount + InstallmentLogic.lateFeeOwed(schedule, block.timestamp);
+        address creditor = plan.funder == address(0) ? plan.seller : plan.funder;
+        uint256 bonus = (debt * liquidationBonusBps) / BPS_DENOMINATOR;
+        liquidations[tokenId] = Liquidation(plan.buyer, msg.sender, debt, creditor, bonus);
         delete plans[tokenId];
+        delete schedules[tokenId];
+
+        if (plan.funder == address(0)) {
+            uint256 toSeller = (plan.downPayment * defaultSellerShareBps) / BPS_DENOMINATOR;
+            if (toSeller > 0) require(paymentToken.transfer(plan.seller, toSeller), "Payment failed");
+            if (plan.downPayment > toSeller) {
+                require(paymentToken.transfer(treasury, plan.downPayment - toSeller), "Payment failed");
+            }
+            emit DownPaymentSplit(tokenId, toSeller, plan.downPayment - toSeller);
+        }
+
+        escrow.releaseAsset(tokenId, address(this));
+        nft.approve(address(auctionModule), tokenId);
+        auctionModule.startLiquidationAuction(tokenId, debt + bonus);
 
         emit BNPLDefaulted(tokenId);
     }
 
+    /**
+     * @notice Called by AuctionModule when a liquidation auction ends. Proceeds cover the unpaid balance to
+     * the funder or seller first, then the liquidator's bonus, and the rest goes to the buyer. Unsold NFTs
+     * go to the funder or seller.
+     */
+    function onLiquidationSettled(uint256 tokenId, uint256 proceeds) external {
+        require(msg.sender == address(auctionModule), "Not auction module");
+        Liquidation memory liquidation = liquidations[tokenId];
+        require(liquidation.liquidator != address(0), "No liquidation");
+        delete liquidations[tokenId];
+
+        uint256 repaid = proceeds < liquidation.debt ? proceeds : liquidation.debt;
+        // Bids open at debt + bonus, so any sale covers both
+        uint256 bonus = proceeds - repaid < liquidation.bonus ? proceeds - repaid : liquidation.bonus;
+        uint256 surplus = proceeds - repaid - bonus;
+
+        if (repaid > 0) require(paymentToken.transfer(liquidation.creditor, repaid), "Payment failed");
+        if (bonus > 0) require(paymentToken.transfer(liquidation.liquidator, bonus), "Bonus transfer failed");
+        if (surplus > 0) require(paymentToken.transfer(liquidation.buyer, surplus), "Surplus transfer failed");
+        if (proceeds == 0) nft.transferFrom(address(this), liquidation.creditor, tokenId);
+
+        emit LiquidationSettled(tokenId, proceeds, repaid, bonus, surplus);
+    }
+
+    /// @notice Next installment due date and amount, what is overdue now and the late fee a payment must cover
+    function getNextInstallment(uint256 tokenId)
+        external
+        view
+        returns (uint256 dueDate, uint256 amountDue, uint256 overdue, uint256 lateFee)
+    {
+        InstallmentLogic.InstallmentPlan storage schedule = schedules[tokenId];
+        (dueDate, amountDue) = InstallmentLogic.nextDue(schedule);
+        overdue = InstallmentLogic.amountOverdue(schedule, block.timestamp);
+        lateFee = InstallmentLogic.lateFeeOwed(schedule, block.timestamp);
+    }
+
+    function isDefaulted(uint256 tokenId) external view returns (bool) {
+        return plans[tokenId].buyer != address(0) && InstallmentLogic.isDefaulted(schedules[tokenId], block.timestamp);
+    }
+
+    /// @notice Schedule terms applied to new plans
+    function setInstallmentTerms(InstallmentLogic.Terms calldata terms) external onlyOwner {
+        InstallmentLogic.validateTerms(terms);
+        installmentTerms = terms;
+    }
+
     function setInstallments(uint8 count) external onlyOwner {
         require(count > 0 && count <= 12, "Invalid count");
         defaultInstallments = count;
     }
+
+    // Installments repay the funder, or are passed on to the seller of a seller-financed plan
+    function _payCreditor(uint256 tokenId, BNPL memory plan, uint256 amount) internal {
+        if (plan.funder != address(0)) {
+            require(paymentToken.transfer(plan.funder, amount), "Payment failed");
+        } else {
+            _paySeller(tokenId, plan.seller, amount);
+        }
+    }
+
+    // Settled through the marketplace so the platform fee applies to every part of the price
+    function _paySeller(uint256 tokenId, address seller, uint256 amount) internal {
+        paymentToken.approve(address(marketplace), amount);
+        marketplace.payFinancedSale(tokenId, seller, amount, address(paymentToken));
+    }
 }
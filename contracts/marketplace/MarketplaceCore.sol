@@ -4,17 +4,32 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "../token/IFeeRouter.sol";
 //import "../nft/IRoyaltyManager.sol";
 
 interface IRoyaltyManager {
     function distributeRoyalty(uint256 tokenId, uint256 salePrice, address buyer) external;
+    function distributeRoyaltyInToken(address token, uint256 tokenId, uint256 salePrice, address buyer) external;
 }
 
-contract MarketplaceCore is Ownable {
+interface IBoostEngine {
+    function handleSale(uint256 tokenId) external;
+}
+
+interface IPriceOracle {
+    function recordSale(uint256 tokenId, address currency, uint256 price) external;
+}
+
+contract MarketplaceCore is Ownable, EIP712 {
     IERC20 public paymentToken;
     IERC721 public nft;
     address public treasury;
     IRoyaltyManager public royaltyManager;
+    IFeeRouter public feeRouter; // optional; fees go to treasury while unset
+    IBoostEngine public boostEngine; // optional; sales are reported to it once set
+    IPriceOracle public priceOracle; // optional; sale prices are recorded once set
 
     uint256 public platformFeeBps = 500; // 5%
     uint256 public constant BPS_DENOMINATOR = 10000;
@@ -22,18 +37,70 @@ contract MarketplaceCore is Ownable {
     struct Listing {
         address seller;
         uint256 price;
+        address currency; // ERC20 the listing is priced in
+    }
+
+    /// @notice Off-chain sell order signed by the seller (EIP-712); the NFT stays in the seller's wallet
+    struct Order {
+        address seller;
+        uint256 tokenId;
+        uint256 price;
+        address currency;
+        uint256 expiry;
+        uint256 nonce;
     }
 
+    /// @notice Several NFTs sold as one lot. `weights` declare each item's share of the price for royalties.
+    struct Bundle {
+        address seller;
+        uint256 price;
+        address currency;
+        uint256[] tokenIds;
+        uint256[] weights;
+    }
+
+    uint256 public constant MAX_BUNDLE_SIZE = 20;
+
+    bytes32 public constant ORDER_TYPEHASH = keccak256(
+        "Order(address seller,uint256 tokenId,uint256 price,address currency,uint256 expiry,uint256 nonce)"
+    );
+
     mapping(uint256 => Listing) public listings;
+    mapping(address => bool) public acceptedCurrencies;
+
+    // seller => nonce => filled or cancelled
+    mapping(address => mapping(uint256 => bool)) public nonceUsed;
+    // seller => orders with a lower nonce are void
+    mapping(address => uint256) public minValidNonce;
+
+    uint256 public nextBundleId = 1;
+    mapping(uint256 => Bundle) private bundles;
+
+    // BNPL modules that can buy listings on credit and pay the seller later
+    mapping(address => bool) public financiers;
 
     event NFTListed(uint256 indexed tokenId, address indexed seller, uint256 price);
     event NFTSold(uint256 indexed tokenId, address indexed buyer, uint256 price);
+    event ListingCancelled(uint256 indexed tokenId, address indexed seller);
+    event ListingPriceUpdated(uint256 indexed tokenId, uint256 oldPrice, uint256 newPrice);
+    event CurrencyUpdated(address indexed currency, bool accepted);
+    event OrderFulfilled(bytes32 indexed orderHash, uint256 indexed tokenId, address indexed seller, address buyer, uint256 price);
+    event OrderCancelled(address indexed seller, uint256 nonce);
+    event AllOrdersCancelled(address indexed seller, uint256 minNonce);
+    event BundleListed(uint256 indexed bundleId, address indexed seller, uint256 price, uint256[] tokenIds);
+    event BundleSold(uint256 indexed bundleId, address indexed buyer, uint256 price);
+    event BundleCancelled(uint256 indexed bundleId, address indexed seller);
+    event FinancierUpdated(address indexed financier, bool allowed);
+    event FinancedPayment(uint256 indexed tokenId, address indexed seller, uint256 amount);
 
-    constructor(address _nft, address _paymentToken, address _treasury, address _royaltyManager) {
+    constructor(address _nft, address _paymentToken, address _treasury, address _royaltyManager)
+        EIP712("MarketplaceCore", "1")
+    {
         nft = IERC721(_nft);
         paymentToken = IERC20(_paymentToken);
         treasury = _treasury;
         royaltyManager = IRoyaltyManager(_royaltyManager);
+        acceptedCurrencies[_paymentToken] = true;
     }
 
     function setTreasury(address _treasury) external onlyOwner {
@@ -46,14 +113,59 @@ contract MarketplaceCore is Ownable {
         royaltyManager = IRoyaltyManager(_rm);
     }
 
+    function setFeeRouter(address _router) external onlyOwner {
+        feeRouter = IFeeRouter(_router);
+    }
+
+    function setBoostEngine(address _boostEngine) external onlyOwner {
+        boostEngine = IBoostEngine(_boostEngine);
+    }
+
+    function setPriceOracle(address _oracle) external onlyOwner {
+        priceOracle = IPriceOracle(_oracle);
+    }
+
+    function setFinancier(address financier, bool allowed) external onlyOwner {
+        financiers[financier] = allowed;
+        emit FinancierUpdated(financier, allowed);
+    }
+
+    function setAcceptedCurrency(address currency, bool accepted) external onlyOwner {
+        require(currency != address(0), "Invalid currency");
+        acceptedCurrencies[currency] = accepted;
+        emit CurrencyUpdated(currency, accepted);
+    }
+
     function listNFT(uint256 tokenId, uint256 price) external {
-        require(nft.ownerOf(tokenId) == msg.sender, "Not the owner");
-        require(price > 0, "Invalid price");
+        _list(tokenId, price, address(paymentToken));
+    }
 
-        listings[tokenId] = Listing(msg.sender, price);
-        nft.transferFrom(msg.sender, address(this), tokenId);
+    /// @notice List an NFT priced in an accepted ERC20 other than the default payment token
+    function listNFTWithCurrency(uint256 tokenId, uint256 price, address currency) external {
+        _list(tokenId, price, currency);
+    }
 
-        emit NFTListed(tokenId, msg.sender, price);
+    function cancelListing(uint256 tokenId) external {
+        Listing memory listing = listings[tokenId];
+        require(listing.price > 0, "Not listed");
+        require(listing.seller == msg.sender, "Not the seller");
+
+        delete listings[tokenId];
+        nft.transferFrom(address(this), msg.sender, tokenId);
+
+        emit ListingCancelled(tokenId, msg.sender);
+    }
+
+    function updatePrice(uint256 tokenId, uint256 newPrice) external {
+        Listing storage listing = listings[tokenId];
+        require(listing.price > 0, "Not listed");
+        require(listing.seller == msg.sender, "Not the seller");
+        require(newPrice > 0, "Invalid price");
+
+        uint256 oldPrice = listing.price;
+        listing.price = newPrice;
+
+        emit ListingPriceUpdated(tokenId, oldPrice, newPrice);
     }
 
     function buyNFT(uint256 tokenId) external {
@@ -63,16 +175,7 @@ contract MarketplaceCore is Ownable {
         // Remove listing
         delete listings[tokenId];
 
-        // 5% platform fee from price
-        uint256 feeAmount = (listing.price * platformFeeBps) / BPS_DENOMINATOR;
-        uint256 sellerAmount = listing.price - feeAmount;
-
-        // Distribute royalty
-        royaltyManager.distributeRoyalty(tokenId, listing.price, msg.sender);
-
-        // Transfer funds
-        require(paymentToken.transferFrom(msg.sender, listing.seller, sellerAmount), "Payment failed");
-        require(paymentToken.transferFrom(msg.sender, treasury, feeAmount), "Fee transfer failed");
+        _settleSale(tokenId, listing.seller, listing.price, listing.currency);
 
         // Transfer NFT to buyer
         nft.transferFrom(address(this), msg.sender, tokenId);
@@ -80,8 +183,233 @@ contract MarketplaceCore is Ownable {
         emit NFTSold(tokenId, msg.sender, listing.price);
     }
 
+    /**
+     * @notice Sell a listing to `buyer` on credit through a financier, which receives the NFT now and pays
+     * the price through payFinancedSale, at once or in parts. Financed sales are not reported to the price
+     * oracle, since the price is only promised here.
+     */
+    function takeFinancedListing(uint256 tokenId, address buyer)
+        external
+        returns (address seller, uint256 price, address currency)
+    {
+        require(financiers[msg.sender], "Not financier");
+        Listing memory listing = listings[tokenId];
+        require(listing.price > 0, "Not listed");
+        require(buyer != listing.seller, "Seller cannot buy");
+
+        delete listings[tokenId];
+        nft.transferFrom(address(this), msg.sender, tokenId);
+
+        _notifySale(tokenId);
+
+        emit NFTSold(tokenId, buyer, listing.price);
+        return (listing.seller, listing.price, listing.currency);
+    }
+
+    /**
+     * @notice Charge `buyer` the royalty on the full `price` of a financed sale, on top of the price as in
+     * buyNFT. Called once, when the sale is taken; the buyer approves RoyaltyManager beforehand.
+     */
+    function payFinancedRoyalty(uint256 tokenId, address buyer, uint256 price, address currency) external {
+        require(financiers[msg.sender], "Not financier");
+        royaltyManager.distributeRoyaltyInToken(currency, tokenId, price, buyer);
+    }
+
+    /**
+     * @notice Pay `amount` of a financed sale to `seller`, less the platform fee, as buyNFT does. The royalty
+     * is charged separately through payFinancedRoyalty.
+     */
+    function payFinancedSale(uint256 tokenId, address seller, uint256 amount, address currency) external {
+        require(financiers[msg.sender], "Not financier");
+
+        uint256 feeAmount = (amount * platformFeeBps) / BPS_DENOMINATOR;
+        require(IERC20(currency).transferFrom(msg.sender, seller, amount - feeAmount), "Payment failed");
+        _payFee(currency, msg.sender, feeAmount);
+
+        emit FinancedPayment(tokenId, seller, amount);
+    }
+
+    /**
+     * @notice List several NFTs as one lot at a single price.
+     * @param weights Relative price weighting per item, used to split royalties on sale
+     */
+    function listBundle(
+        uint256[] calldata tokenIds,
+        uint256[] calldata weights,
+        uint256 price,
+        address currency
+    ) external returns (uint256 bundleId) {
+        require(tokenIds.length > 1 && tokenIds.length <= MAX_BUNDLE_SIZE, "Invalid bundle size");
+        require(weights.length == tokenIds.length, "Mismatched arrays");
+        require(price > 0, "Invalid price");
+        require(acceptedCurrencies[currency], "Currency not accepted");
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            require(weights[i] > 0, "Invalid weight");
+            require(nft.ownerOf(tokenIds[i]) == msg.sender, "Not the owner");
+            nft.transferFrom(msg.sender, address(this), tokenIds[i]);
+        }
+
+        bundleId = nextBundleId++;
+        bundles[bundleId] = Bundle(msg.sender, price, currency, tokenIds, weights);
+
+        emit BundleListed(bundleId, msg.sender, price, tokenIds);
+    }
+
+    function cancelBundle(uint256 bundleId) external {
+        Bundle memory bundle = bundles[bundleId];
+        require(bundle.price > 0, "Not listed");
+        require(bundle.seller == msg.sender, "Not the seller");
+
+        delete bundles[bundleId];
+        for (uint256 i = 0; i < bundle.tokenIds.length; i++) {
+            nft.transferFrom(address(this), msg.sender, bundle.tokenIds[i]);
+        }
+
+        emit BundleCancelled(bundleId, msg.sender);
+    }
+
+    /// @notice Buy every item of a bundle atomically. Royalties are paid per item on its weighted share.
+    function buyBundle(uint256 bundleId) external {
+        Bundle memory bundle = bundles[bundleId];
+        require(bundle.price > 0, "Not listed");
+
+        delete bundles[bundleId];
+
+        uint256 totalWeight;
+        for (uint256 i = 0; i < bundle.weights.length; i++) {
+            totalWeight += bundle.weights[i];
+        }
+
+        // Last item takes the rounding remainder so item prices sum to the bundle price
+        uint256 allocated;
+        for (uint256 i = 0; i < bundle.tokenIds.length; i++) {
+            uint256 itemPrice = i == bundle.tokenIds.length - 1
+                ? bundle.price - allocated
+                : (bundle.price * bundle.weights[i]) / totalWeight;
+            allocated += itemPrice;
+            royaltyManager.distributeRoyaltyInToken(bundle.currency, bundle.tokenIds[i], itemPrice, msg.sender);
+        }
+
+        uint256 feeAmount = (bundle.price * platformFeeBps) / BPS_DENOMINATOR;
+        require(IERC20(bundle.currency).transferFrom(msg.sender, bundle.seller, bundle.price - feeAmount), "Payment failed");
+        _payFee(bundle.currency, msg.sender, feeAmount);
+
+        for (uint256 i = 0; i < bundle.tokenIds.length; i++) {
+            nft.transferFrom(address(this), msg.sender, bundle.tokenIds[i]);
+            _notifySale(bundle.tokenIds[i]);
+        }
+
+        emit BundleSold(bundleId, msg.sender, bundle.price);
+    }
+
+    /// @notice Seller of the single listing holding `tokenId`, or address(0) if it is not listed
+    function sellerOf(uint256 tokenId) external view returns (address) {
+        return listings[tokenId].seller;
+    }
+
+    function getBundle(uint256 bundleId) external view returns (Bundle memory) {
+        return bundles[bundleId];
+    }
+
+    /**
+     * @notice Fill a seller-signed order. The seller must have approved this contract for the NFT.
+     * @dev Fee and royalty are applied exactly as in buyNFT.
+     */
+    function fulfillOrder(Order calldata order, bytes calldata signature) external {
+        require(order.price > 0, "Invalid price");
+        require(block.timestamp <= order.expiry, "Order expired");
+        require(acceptedCurrencies[order.currency], "Currency not accepted");
+        require(order.nonce >= minValidNonce[order.seller] && !nonceUsed[order.seller][order.nonce], "Order not valid");
+        require(msg.sender != order.seller, "Seller cannot buy");
+
+        bytes32 orderHash = hashOrder(order);
+        require(ECDSA.recover(orderHash, signature) == order.seller, "Invalid signature");
+        require(nft.ownerOf(order.tokenId) == order.seller, "Seller not owner");
+
+        nonceUsed[order.seller][order.nonce] = true;
+
+        _settleSale(order.tokenId, order.seller, order.price, order.currency);
+
+        nft.transferFrom(order.seller, msg.sender, order.tokenId);
+
+        emit OrderFulfilled(orderHash, order.tokenId, order.seller, msg.sender, order.price);
+        emit NFTSold(order.tokenId, msg.sender, order.price);
+    }
+
+    function cancelOrder(uint256 nonce) external {
+        require(!nonceUsed[msg.sender][nonce], "Nonce already used");
+        nonceUsed[msg.sender][nonce] = true;
+        emit OrderCancelled(msg.sender, nonce);
+    }
+
+    /// @notice Void every order signed with a nonce below `minNonce`
+    function cancelAllOrders(uint256 minNonce) external {
+        require(minNonce > minValidNonce[msg.sender], "Nonce too low");
+        minValidNonce[msg.sender] = minNonce;
+        emit AllOrdersCancelled(msg.sender, minNonce);
+    }
+
+    /// @notice EIP-712 digest the seller signs for `order`
+    function hashOrder(Order calldata order) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            ORDER_TYPEHASH,
+            order.seller,
+            order.tokenId,
+            order.price,
+            order.currency,
+            order.expiry,
+            order.nonce
+        )));
+    }
+
     function setPlatformFee(uint256 bps) external onlyOwner {
         require(bps <= 1000, "Max 10%");
         platformFeeBps = bps;
     }
+
+    // Pull price from the buyer: royalty via RoyaltyManager, platform fee to treasury, rest to seller
+    function _settleSale(uint256 tokenId, address seller, uint256 price, address currency) internal {
+        // 5% platform fee from price
+        uint256 feeAmount = (price * platformFeeBps) / BPS_DENOMINATOR;
+        uint256 sellerAmount = price - feeAmount;
+
+        // Distribute royalty in the sale currency
+        royaltyManager.distributeRoyaltyInToken(currency, tokenId, price, msg.sender);
+
+        // Transfer funds
+        require(IERC20(currency).transferFrom(msg.sender, seller, sellerAmount), "Payment failed");
+        _payFee(currency, msg.sender, feeAmount);
+
+        _notifySale(tokenId);
+        if (address(priceOracle) != address(0)) priceOracle.recordSale(tokenId, currency, price);
+    }
+
+    // Lets BoostEngine move or refund the remaining boost of a sold token
+    function _notifySale(uint256 tokenId) internal {
+        if (address(boostEngine) != address(0)) boostEngine.handleSale(tokenId);
+    }
+
+    // Fee goes through the FeeRouter when one is set, otherwise straight to treasury
+    function _payFee(address currency, address from, uint256 amount) internal {
+        if (amount == 0) return;
+        if (address(feeRouter) == address(0)) {
+            require(IERC20(currency).transferFrom(from, treasury, amount), "Fee transfer failed");
+            return;
+        }
+        require(IERC20(currency).transferFrom(from, address(this), amount), "Fee transfer failed");
+        IERC20(currency).approve(address(feeRouter), amount);
+        feeRouter.payFee(FEE_SOURCE_SALE, currency, amount);
+    }
+
+    function _list(uint256 tokenId, uint256 price, address currency) internal {
+        require(nft.ownerOf(tokenId) == msg.sender, "Not the owner");
+        require(price > 0, "Invalid price");
+        require(acceptedCurrencies[currency], "Currency not accepted");
+
+        listings[tokenId] = Listing(msg.sender, price, currency);
+        nft.transferFrom(msg.sender, address(this), tokenId);
+
+        emit NFTListed(tokenId, msg.sender, price);
+    }
 }
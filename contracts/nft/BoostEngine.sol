@@ -3,44 +3,177 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "../token/IFeeRouter.sol";
+
+interface IListingVenue {
+    function sellerOf(uint256 tokenId) external view returns (address);
+}
 
 contract BoostEngine is Ownable {
+    enum Tier { Standard, Featured, Homepage }
+
+    struct TierConfig {
+        uint256 ratePerDay;
+        uint256 maxSlots; // concurrent active boosts in this tier
+    }
+
+    struct Boost {
+        address booster;
+        Tier tier;
+        bool refundOnSale; // true: unused time is refunded when sold; false: boost stays with the NFT
+        uint256 start; // start of the current escrow period
+        uint256 until;
+        uint256 escrow; // fee held for refundable boosts, released as time is used
+    }
+
+    /// @notice Entry of the ranking feed
+    struct FeedEntry {
+        uint256 tokenId;
+        Tier tier;
+        uint256 until;
+    }
+
+    IERC721 public nft;
     IERC20 public paymentToken;
     address public treasury;
+    IFeeRouter public feeRouter; // optional; fees go to treasury while unset
 
-    uint256 public boostRatePerDay = 5 * 10 ** 18;
+    mapping(Tier => TierConfig) public tiers;
+    mapping(uint256 => Boost) public boosts;
+    // Marketplace modules allowed to report sales
+    mapping(address => bool) public marketplaces;
+    mapping(address => uint256) public pendingRefunds;
 
-    mapping(uint256 => uint256) public boostedUntil;
+    mapping(Tier => uint256[]) private tierTokens;
+    // tokenId => index in tierTokens[tier] + 1 (0 = not listed)
+    mapping(uint256 => uint256) private tierSlot;
 
     event NFTBoosted(uint256 tokenId, address user, uint256 duration);
+    event BoostTierBought(uint256 indexed tokenId, Tier tier, uint256 until, bool refundOnSale);
+    event BoostRefunded(uint256 indexed tokenId, address indexed booster, uint256 refund, uint256 used);
+    event BoostTransferred(uint256 indexed tokenId, uint256 until);
+    event TierUpdated(Tier tier, uint256 ratePerDay, uint256 maxSlots);
+    event MarketplaceUpdated(address indexed marketplace, bool allowed);
 
-    constructor(address _token, address _treasury) {
+    constructor(address _nft, address _token, address _treasury) {
+        nft = IERC721(_nft);
         paymentToken = IERC20(_token);
         treasury = _treasury;
+
+        tiers[Tier.Standard] = TierConfig(5 * 10 ** 18, 100);
+        tiers[Tier.Featured] = TierConfig(20 * 10 ** 18, 20);
+        tiers[Tier.Homepage] = TierConfig(50 * 10 ** 18, 5);
     }
 
+    /// @notice Standard-tier boost that stays with the NFT when sold
     function boostNFT(uint256 tokenId, uint256 daysCount) external {
-        require(daysCount > 0, "Invalid boost period");
-        uint256 fee = daysCount * boostRatePerDay;
+        _boost(tokenId, daysCount, Tier.Standard, false);
+    }
 
-        // Transfer boost fee to treasury
-        IERC20(paymentToken).transferFrom(msg.sender, treasury, fee);
+    /**
+     * @notice Boost in `tier`. With `refundOnSale` the fee is escrowed and the unused part is refunded
+     * to the booster if the NFT is sold; otherwise the fee is paid upfront and the boost follows the NFT.
+     * Extending an active boost keeps its tier and refund policy.
+     */
+    function boostNFTWithTier(uint256 tokenId, uint256 daysCount, Tier tier, bool refundOnSale) external {
+        _boost(tokenId, daysCount, tier, refundOnSale);
+    }
 
-        uint256 currentEnd = boostedUntil[tokenId];
-        uint256 newEnd = block.timestamp + (daysCount * 1 days);
+    /// @notice Called by marketplace modules when `tokenId` changes hands through a sale
+    function handleSale(uint256 tokenId) external {
+        require(marketplaces[msg.sender], "Not marketplace");
+        Boost storage b = boosts[tokenId];
+        if (b.until < block.timestamp) return;
 
-        // Extend if already boosted
-        if (currentEnd > block.timestamp) {
-            boostedUntil[tokenId] = currentEnd + (daysCount * 1 days);
-        } else {
-            boostedUntil[tokenId] = newEnd;
+        if (!b.refundOnSale) {
+            emit BoostTransferred(tokenId, b.until);
+            return;
         }
 
-        emit NFTBoosted(tokenId, msg.sender, daysCount);
+        uint256 used = _releaseUsed(b);
+        uint256 refund = b.escrow;
+        address booster = b.booster;
+        _clear(tokenId);
+        pendingRefunds[booster] += refund;
+
+        emit BoostRefunded(tokenId, booster, refund, used);
+    }
+
+    /// @notice Release the escrow of an expired boost and free its slot. Callable by anyone.
+    function releaseExpired(uint256 tokenId) public {
+        Boost storage b = boosts[tokenId];
+        require(b.until != 0, "No boost");
+        require(b.until < block.timestamp, "Boost active");
+        _releaseUsed(b);
+        _clear(tokenId);
+    }
+
+    function withdrawRefund() external {
+        uint256 amount = pendingRefunds[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        pendingRefunds[msg.sender] = 0;
+        require(paymentToken.transfer(msg.sender, amount), "Refund failed");
+    }
+
+    /// @notice Active boosts, highest tier first and soonest expiry first within a tier
+    function getBoostFeed() external view returns (FeedEntry[] memory feed) {
+        uint256 total;
+        for (uint256 t = 0; t <= uint256(Tier.Homepage); t++) {
+            uint256[] storage list = tierTokens[Tier(t)];
+            for (uint256 i = 0; i < list.length; i++) {
+                if (boosts[list[i]].until >= block.timestamp) total++;
+            }
+        }
+
+        feed = new FeedEntry[](total);
+        uint256 count;
+        for (uint256 t = uint256(Tier.Homepage) + 1; t > 0; t--) {
+            Tier tier = Tier(t - 1);
+            uint256[] storage list = tierTokens[tier];
+            uint256 tierStart = count;
+
+            for (uint256 i = 0; i < list.length; i++) {
+                uint256 until = boosts[list[i]].until;
+                if (until < block.timestamp) continue;
+
+                // Insertion sort within the tier; lists are bounded by maxSlots
+                uint256 j = count;
+                while (j > tierStart && feed[j - 1].until > until) {
+                    feed[j] = feed[j - 1];
+                    j--;
+                }
+                feed[j] = FeedEntry(list[i], tier, until);
+                count++;
+            }
+        }
+    }
+
+    function boostedUntil(uint256 tokenId) external view returns (uint256) {
+        return boosts[tokenId].until;
+    }
+
+    function boostRatePerDay() external view returns (uint256) {
+        return tiers[Tier.Standard].ratePerDay;
     }
 
     function setBoostRate(uint256 newRate) external onlyOwner {
-        boostRatePerDay = newRate;
+        setTier(Tier.Standard, newRate, tiers[Tier.Standard].maxSlots);
+    }
+
+    function setTier(Tier tier, uint256 ratePerDay, uint256 maxSlots) public onlyOwner {
+        tiers[tier] = TierConfig(ratePerDay, maxSlots);
+        emit TierUpdated(tier, ratePerDay, maxSlots);
+    }
+
+    function setMarketplace(address marketplace, bool allowed) external onlyOwner {
+        marketplaces[marketplace] = allowed;
+        emit MarketplaceUpdated(marketplace, allowed);
+    }
+
+    function setNFT(address _nft) external onlyOwner {
+        require(_nft != address(0), "Invalid NFT");
+        nft = IERC721(_nft);
     }
 
     function setPaymentToken(address _token) external onlyOwner {
@@ -53,7 +186,105 @@ contract BoostEngine is Ownable {
         treasury = _treasury;
     }
 
+    function setFeeRouter(address _router) external onlyOwner {
+        feeRouter = IFeeRouter(_router);
+    }
+
     function isBoosted(uint256 tokenId) external view returns (bool) {
-        return boostedUntil[tokenId] >= block.timestamp;
+        return boosts[tokenId].until >= block.timestamp;
+    }
+
+    function _boost(uint256 tokenId, uint256 daysCount, Tier tier, bool refundOnSale) internal {
+        require(daysCount > 0, "Invalid boost period");
+        require(_canBoost(tokenId), "Not owner nor approved");
+
+        uint256 fee = daysCount * tiers[tier].ratePerDay;
+        uint256 duration = daysCount * 1 days;
+        Boost storage b = boosts[tokenId];
+
+        if (b.until >= block.timestamp) {
+            // Extend if already boosted
+            require(b.tier == tier && b.refundOnSale == refundOnSale, "Boost terms mismatch");
+            require(!refundOnSale || b.booster == msg.sender, "Boost held by another booster");
+            if (refundOnSale) _releaseUsed(b);
+            b.until += duration;
+        } else {
+            if (b.until != 0) releaseExpired(tokenId);
+            _pruneExpired(tier);
+            require(tierTokens[tier].length < tiers[tier].maxSlots, "No slots left");
+
+            tierTokens[tier].push(tokenId);
+            tierSlot[tokenId] = tierTokens[tier].length;
+            boosts[tokenId] = Boost(msg.sender, tier, refundOnSale, block.timestamp, block.timestamp + duration, 0);
+        }
+
+        // Refundable boosts hold the fee; others pay the fee router, or treasury if none is set
+        if (refundOnSale) {
+            require(paymentToken.transferFrom(msg.sender, address(this), fee), "Payment failed");
+            b.escrow += fee;
+        } else if (address(feeRouter) == address(0)) {
+            require(paymentToken.transferFrom(msg.sender, treasury, fee), "Payment failed");
+        } else {
+            require(paymentToken.transferFrom(msg.sender, address(this), fee), "Payment failed");
+            _payFee(fee);
+        }
+
+        emit NFTBoosted(tokenId, msg.sender, daysCount);
+        emit BoostTierBought(tokenId, tier, b.until, refundOnSale);
+    }
+
+    // Owner or approved operator; for items held by a registered marketplace, the seller it records
+    function _canBoost(uint256 tokenId) internal view returns (bool) {
+        address holder = nft.ownerOf(tokenId);
+        if (msg.sender == holder || nft.getApproved(tokenId) == msg.sender || nft.isApprovedForAll(holder, msg.sender)) {
+            return true;
+        }
+        return marketplaces[holder] && IListingVenue(holder).sellerOf(tokenId) == msg.sender;
+    }
+
+    // Pays the escrow share of the time used since `start` as fee and restarts the period
+    function _releaseUsed(Boost storage b) internal returns (uint256 used) {
+        if (b.escrow == 0) return 0;
+        uint256 end = block.timestamp < b.until ? block.timestamp : b.until;
+        used = (b.escrow * (end - b.start)) / (b.until - b.start);
+        b.escrow -= used;
+        b.start = end;
+        if (used > 0) {
+            if (address(feeRouter) == address(0)) {
+                require(paymentToken.transfer(treasury, used), "Fee transfer failed");
+            } else {
+                _payFee(used);
+            }
+        }
+    }
+
+    function _payFee(uint256 amount) internal {
+        paymentToken.approve(address(feeRouter), amount);
+        feeRouter.payFee(FEE_SOURCE_BOOST, address(paymentToken), amount);
+    }
+
+    function _pruneExpired(Tier tier) internal {
+        uint256[] storage list = tierTokens[tier];
+        uint256 i = list.length;
+        while (i > 0) {
+            i--;
+            if (boosts[list[i]].until < block.timestamp) releaseExpired(list[i]);
+        }
+    }
+
+    // Drops the boost and its tier slot (swap-and-pop)
+    function _clear(uint256 tokenId) internal {
+        uint256 slot = tierSlot[tokenId];
+        if (slot > 0) {
+            uint256[] storage list = tierTokens[boosts[tokenId].tier];
+            uint256 last = list.length - 1;
+            if (slot - 1 != last) {
+                list[slot - 1] = list[last];
+                tierSlot[list[slot - 1]] = slot;
+            }
+            list.pop();
+            delete tierSlot[tokenId];
+        }
+        delete boosts[tokenId];
     }
 }
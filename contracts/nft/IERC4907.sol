@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @notice ERC-4907 rental extension: a time-bound "user" role separate from the owner
+interface IERC4907 {
+    /// @notice Emitted when the user of an NFT or its expiry changes. user = address(0) means no user.
+    event UpdateUser(uint256 indexed tokenId, address indexed user, uint64 expires);
+
+    /// @notice Set the user and expiry (unix timestamp) of an NFT. Owner or approved only.
+    function setUser(uint256 tokenId, address user, uint64 expires) external;
+
+    /// @notice Current user of the NFT, or address(0) once expired
+    function userOf(uint256 tokenId) external view returns (address);
+
+    /// @notice Expiry of the current user role
+    function userExpires(uint256 tokenId) external view returns (uint256);
+}
@@ -2,5 +2,9 @@
 pragma solidity ^0.8.20;
 
 interface IRoyaltyManager {
-    function distributeRoyalty(address creator, uint256 amount) external;
+    function distributeRoyalty(uint256 tokenId, uint256 salePrice, address buyer) external;
+    function distributeRoyaltyInToken(address token, uint256 tokenId, uint256 salePrice, address buyer) external;
+    function registerRoyalty(uint256 tokenId, address creator, uint256 percent) external;
+    function defaultRoyalty() external view returns (uint256);
+    function royaltyInfo(uint256 tokenId, uint256 salePrice) external view returns (address receiver, uint256 royaltyAmount);
 }
@@ -2,41 +2,255 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "../token/IFeeRouter.sol";
+import "./IRoyaltyManager.sol";
+import "./IERC4907.sol";
 
-contract NFTMinting is ERC721URIStorage, Ownable {
+contract NFTMinting is ERC721URIStorage, ERC721Enumerable, IERC2981, IERC4907, Ownable, EIP712 {
     using Counters for Counters.Counter;
     Counters.Counter private _tokenIds;
 
+    /// @notice Scheduled drop window with its own price, currency, wallet cap and optional allowlist
+    struct MintPhase {
+        uint64 startTime;
+        uint64 endTime;
+        address currency; // any ERC-20, MFH included
+        uint256 price;
+        uint256 maxPerWallet;
+        bytes32 merkleRoot; // bytes32(0) = open to everyone
+    }
+
+    /// @notice Creator-signed (EIP-712) permission for the first buyer to mint `uri` at `price` MFH
+    struct MintVoucher {
+        address creator;
+        string uri;
+        uint256 price;
+        uint256 royaltyBps;
+        uint256 expiry;
+        uint256 nonce;
+    }
+
+    /// @notice ERC-4907 rental user; cleared whenever the token is transferred
+    struct UserInfo {
+        address user;
+        uint64 expires;
+    }
+
+    bytes32 public constant VOUCHER_TYPEHASH = keccak256(
+        "MintVoucher(address creator,string uri,uint256 price,uint256 royaltyBps,uint256 expiry,uint256 nonce)"
+    );
+
     address public paymentToken; // MFH token
     uint256 public mintPrice = 10 * 10 ** 18;
     uint256 public maxPerWallet = 5;
+    uint256 public platformFeeBps = 500; // 5% of voucher sales
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    IFeeRouter public feeRouter; // optional; fees stay here for withdrawFees while unset
+    IRoyaltyManager public royaltyManager; // royalties are recorded at mint once set
+
+    bool public publicMintOpen = true; // mintNFT at mintPrice, outside of any phase
+
+    mapping(address => uint256) public mintedBy; // public mints only; phases count in mintedInPhase
 
-    mapping(address => uint256) public mintedBy;
+    MintPhase[] private mintPhases;
+    // phaseId => wallet => minted in that phase
+    mapping(uint256 => mapping(address => uint256)) public mintedInPhase;
+    // creator => voucher nonce => redeemed or cancelled
+    mapping(address => mapping(uint256 => bool)) public voucherNonceUsed;
+
+    mapping(uint256 => address) public creatorOf;
+    mapping(address => uint256[]) private creatorTokens;
+    mapping(uint256 => bool) public metadataFrozen;
+    mapping(uint256 => UserInfo) private users;
 
     event NFTMinted(address indexed user, uint256 tokenId);
+    event MintPhaseScheduled(uint256 indexed phaseId, uint64 startTime, uint64 endTime, address currency, uint256 price, uint256 maxPerWallet, bytes32 merkleRoot);
+    event PublicMintToggled(bool open);
+    event VoucherRedeemed(bytes32 indexed voucherHash, uint256 indexed tokenId, address indexed creator, address buyer, uint256 price);
+    event VoucherCancelled(address indexed creator, uint256 nonce);
+    /// @dev OpenSea's freeze signal; emitted alongside the ERC-4906 MetadataUpdate
+    event PermanentURI(string _value, uint256 indexed _id);
 
-    constructor(address _paymentToken) ERC721("MemeNFT", "MEME") {
+    constructor(address _paymentToken) ERC721("MemeNFT", "MEME") EIP712("NFTMinting", "1") {
         paymentToken = _paymentToken;
     }
 
+    /// @notice Mint with the RoyaltyManager default royalty; the minter becomes the creator
     function mintNFT(string memory metadataURI) external {
+        _publicMint(metadataURI, _defaultRoyalty());
+    }
+
+    /// @notice Mint one token per URI, charging `mintPrice` for all of them in a single transfer
+    function batchMint(string[] calldata metadataURIs) external returns (uint256[] memory tokenIds) {
+        uint256 count = metadataURIs.length;
+        require(count > 0, "Empty batch");
+        require(publicMintOpen, "Public mint closed");
+        require(mintedBy[msg.sender] + count <= maxPerWallet, "Mint limit exceeded");
+        for (uint256 i = 0; i < count; i++) {
+            require(bytes(metadataURIs[i]).length > 0, "Invalid metadata URI");
+        }
+
+        _collectFee(paymentToken, mintPrice * count);
+        mintedBy[msg.sender] += count;
+
+        uint256 percent = _defaultRoyalty();
+        tokenIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            tokenIds[i] = _mintTo(msg.sender, msg.sender, metadataURIs[i], percent);
+        }
+    }
+
+    /// @notice Mint with a chosen royalty percent (basis points, capped by RoyaltyManager.MAX_ROYALTY)
+    function mintNFTWithRoyalty(string memory metadataURI, uint256 royaltyBps) external {
+        _publicMint(metadataURI, royaltyBps);
+    }
+
+    /**
+     * @notice Mint during a scheduled phase, paying the phase price in the phase currency.
+     * @param proof Merkle proof of msg.sender (leaf = keccak256(abi.encodePacked(address))); ignored for open phases
+     */
+    function mintInPhase(uint256 phaseId, string memory metadataURI, bytes32[] calldata proof) external {
+        require(phaseId < mintPhases.length, "Invalid phase");
+        MintPhase memory phase = mintPhases[phaseId];
+        require(block.timestamp >= phase.startTime && block.timestamp < phase.endTime, "Phase not active");
+        require(mintedInPhase[phaseId][msg.sender] < phase.maxPerWallet, "Phase limit exceeded");
+        if (phase.merkleRoot != bytes32(0)) {
+            bytes32 leaf = keccak256(abi.encodePacked(msg.sender));
+            require(MerkleProof.verify(proof, phase.merkleRoot, leaf), "Not on allowlist");
+        }
+
+        mintedInPhase[phaseId][msg.sender]++;
+        _mintWithRoyalty(metadataURI, _defaultRoyalty(), phase.currency, phase.price);
+    }
+
+    /**
+     * @notice Redeem a creator's voucher: mints straight to the caller, pays the creator `price` minus the
+     * platform fee and records the voucher royalty with the creator in RoyaltyManager.
+     */
+    function redeemVoucher(MintVoucher calldata voucher, bytes calldata signature) external returns (uint256 tokenId) {
+        require(block.timestamp <= voucher.expiry, "Voucher expired");
+        require(!voucherNonceUsed[voucher.creator][voucher.nonce], "Voucher already used");
+        require(bytes(voucher.uri).length > 0, "Invalid metadata URI");
+
+        bytes32 voucherHash = hashVoucher(voucher);
+        require(ECDSA.recover(voucherHash, signature) == voucher.creator, "Invalid signature");
+
+        voucherNonceUsed[voucher.creator][voucher.nonce] = true;
+
+        uint256 fee = (voucher.price * platformFeeBps) / BPS_DENOMINATOR;
+        if (voucher.price > fee) {
+            require(IERC20(paymentToken).transferFrom(msg.sender, voucher.creator, voucher.price - fee), "Payment failed");
+        }
+        _collectFee(paymentToken, fee);
+
+        tokenId = _mintTo(msg.sender, voucher.creator, voucher.uri, voucher.royaltyBps);
+        emit VoucherRedeemed(voucherHash, tokenId, voucher.creator, msg.sender, voucher.price);
+    }
+
+    /// @notice Invalidate a voucher you signed before anyone redeems it
+    function cancelVoucher(uint256 nonce) external {
+        require(!voucherNonceUsed[msg.sender][nonce], "Voucher already used");
+        voucherNonceUsed[msg.sender][nonce] = true;
+        emit VoucherCancelled(msg.sender, nonce);
+    }
+
+    /// @notice EIP-712 digest the creator signs for `voucher`
+    function hashVoucher(MintVoucher calldata voucher) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            VOUCHER_TYPEHASH,
+            voucher.creator,
+            keccak256(bytes(voucher.uri)),
+            voucher.price,
+            voucher.royaltyBps,
+            voucher.expiry,
+            voucher.nonce
+        )));
+    }
+
+    /// @notice Point `tokenId` at new metadata. Creator only, while they still hold it and until frozen.
+    function updateTokenURI(uint256 tokenId, string calldata metadataURI) external {
+        require(creatorOf[tokenId] == msg.sender, "Not creator");
+        require(ownerOf(tokenId) == msg.sender, "Creator no longer owner");
+        require(!metadataFrozen[tokenId], "Metadata frozen");
         require(bytes(metadataURI).length > 0, "Invalid metadata URI");
-        require(mintedBy[msg.sender] < maxPerWallet, "Mint limit exceeded");
+        _setTokenURI(tokenId, metadataURI); // emits MetadataUpdate
+    }
 
-        // Collect MFH fee
-        IERC20(paymentToken).transferFrom(msg.sender, address(this), mintPrice);
+    /// @notice Permanently lock the metadata of `tokenId`. Creator only.
+    function freezeMetadata(uint256 tokenId) external {
+        require(creatorOf[tokenId] == msg.sender, "Not creator");
+        require(!metadataFrozen[tokenId], "Metadata frozen");
+        metadataFrozen[tokenId] = true;
 
-        _tokenIds.increment();
-        uint256 newId = _tokenIds.current();
+        emit MetadataUpdate(tokenId);
+        emit PermanentURI(tokenURI(tokenId), tokenId);
+    }
 
-        _safeMint(msg.sender, newId);
-        _setTokenURI(newId, metadataURI);
+    /// @notice Grant `user` the right to use `tokenId` until `expires`. Owner or approved only.
+    function setUser(uint256 tokenId, address user, uint64 expires) external override {
+        require(_isApprovedOrOwner(msg.sender, tokenId), "Not owner nor approved");
+        users[tokenId] = UserInfo(user, expires);
+        emit UpdateUser(tokenId, user, expires);
+    }
 
-        mintedBy[msg.sender]++;
-        emit NFTMinted(msg.sender, newId);
+    function userOf(uint256 tokenId) external view override returns (address) {
+        UserInfo memory info = users[tokenId];
+        return uint256(info.expires) >= block.timestamp ? info.user : address(0);
+    }
+
+    function userExpires(uint256 tokenId) external view override returns (uint256) {
+        return users[tokenId].expires;
+    }
+
+    function tokensOfOwner(address owner) external view returns (uint256[] memory tokenIds) {
+        uint256 count = balanceOf(owner);
+        tokenIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            tokenIds[i] = tokenOfOwnerByIndex(owner, i);
+        }
+    }
+
+    function tokensByCreator(address creator) external view returns (uint256[] memory) {
+        return creatorTokens[creator];
+    }
+
+    /// @notice Schedule a mint phase. Phases may overlap; buyers pick the one they mint in.
+    function addMintPhase(MintPhase calldata phase) external onlyOwner returns (uint256 phaseId) {
+        _validatePhase(phase);
+        phaseId = mintPhases.length;
+        mintPhases.push(phase);
+        _emitPhase(phaseId, phase);
+    }
+
+    /// @notice Reschedule or reprice a phase that has not started yet
+    function updateMintPhase(uint256 phaseId, MintPhase calldata phase) external onlyOwner {
+        require(phaseId < mintPhases.length, "Invalid phase");
+        require(block.timestamp < mintPhases[phaseId].startTime, "Phase already started");
+        _validatePhase(phase);
+        mintPhases[phaseId] = phase;
+        _emitPhase(phaseId, phase);
+    }
+
+    function getMintPhase(uint256 phaseId) external view returns (MintPhase memory) {
+        require(phaseId < mintPhases.length, "Invalid phase");
+        return mintPhases[phaseId];
+    }
+
+    function mintPhaseCount() external view returns (uint256) {
+        return mintPhases.length;
+    }
+
+    function setPublicMintOpen(bool open) external onlyOwner {
+        publicMintOpen = open;
+        emit PublicMintToggled(open);
     }
 
     function setMintPrice(uint256 _price) external onlyOwner {
@@ -47,8 +261,123 @@ contract NFTMinting is ERC721URIStorage, Ownable {
         maxPerWallet = _max;
     }
 
+    function setPlatformFee(uint256 bps) external onlyOwner {
+        require(bps <= 1000, "Max 10%");
+        platformFeeBps = bps;
+    }
+
+    function setFeeRouter(address _router) external onlyOwner {
+        feeRouter = IFeeRouter(_router);
+    }
+
+    function setRoyaltyManager(address _rm) external onlyOwner {
+        royaltyManager = IRoyaltyManager(_rm);
+    }
+
+    /// @notice ERC-2981 royalty lookup, backed by RoyaltyManager
+    function royaltyInfo(uint256 tokenId, uint256 salePrice)
+        external
+        view
+        override
+        returns (address receiver, uint256 royaltyAmount)
+    {
+        if (address(royaltyManager) == address(0)) return (address(0), 0);
+        return royaltyManager.royaltyInfo(tokenId, salePrice);
+    }
+
+    function tokenURI(uint256 tokenId) public view override(ERC721, ERC721URIStorage) returns (string memory) {
+        return super.tokenURI(tokenId);
+    }
+
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(ERC721URIStorage, ERC721Enumerable, IERC165)
+        returns (bool)
+    {
+        return interfaceId == type(IERC2981).interfaceId ||
+            interfaceId == type(IERC4907).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+
     function withdrawFees(address to) external onlyOwner {
-        uint256 balance = IERC20(paymentToken).balanceOf(address(this));
-        require(IERC20(paymentToken).transfer(to, balance), "Withdraw failed");
+        withdrawCurrency(paymentToken, to);
+    }
+
+    /// @notice Withdraw phase proceeds collected in `currency`
+    function withdrawCurrency(address currency, address to) public onlyOwner {
+        uint256 balance = IERC20(currency).balanceOf(address(this));
+        require(IERC20(currency).transfer(to, balance), "Withdraw failed");
+    }
+
+    function _publicMint(string memory metadataURI, uint256 royaltyBps) internal {
+        require(publicMintOpen, "Public mint closed");
+        require(mintedBy[msg.sender] < maxPerWallet, "Mint limit exceeded");
+        mintedBy[msg.sender]++;
+        _mintWithRoyalty(metadataURI, royaltyBps, paymentToken, mintPrice);
+    }
+
+    function _defaultRoyalty() internal view returns (uint256) {
+        return address(royaltyManager) == address(0) ? 0 : royaltyManager.defaultRoyalty();
+    }
+
+    function _validatePhase(MintPhase calldata phase) internal view {
+        require(phase.endTime > phase.startTime, "Invalid window");
+        require(phase.endTime > block.timestamp, "Phase already ended");
+        require(phase.currency != address(0), "Invalid currency");
+        require(phase.maxPerWallet > 0, "Zero wallet cap");
+    }
+
+    function _emitPhase(uint256 phaseId, MintPhase calldata phase) internal {
+        emit MintPhaseScheduled(phaseId, phase.startTime, phase.endTime, phase.currency, phase.price, phase.maxPerWallet, phase.merkleRoot);
+    }
+
+    function _mintWithRoyalty(string memory metadataURI, uint256 royaltyBps, address currency, uint256 price) internal {
+        require(bytes(metadataURI).length > 0, "Invalid metadata URI");
+
+        _collectFee(currency, price);
+        _mintTo(msg.sender, msg.sender, metadataURI, royaltyBps);
+    }
+
+    function _mintTo(address to, address creator, string memory metadataURI, uint256 royaltyBps) internal returns (uint256 newId) {
+        _tokenIds.increment();
+        newId = _tokenIds.current();
+
+        if (address(royaltyManager) != address(0)) {
+            royaltyManager.registerRoyalty(newId, creator, royaltyBps);
+        }
+        creatorOf[newId] = creator;
+        creatorTokens[creator].push(newId);
+
+        _safeMint(to, newId);
+        _setTokenURI(newId, metadataURI);
+
+        emit NFTMinted(to, newId);
+    }
+
+    function _beforeTokenTransfer(address from, address to, uint256 firstTokenId, uint256 batchSize)
+        internal
+        override(ERC721, ERC721Enumerable)
+    {
+        super._beforeTokenTransfer(from, to, firstTokenId, batchSize);
+
+        if (from != to && users[firstTokenId].user != address(0)) {
+            delete users[firstTokenId];
+            emit UpdateUser(firstTokenId, address(0), 0);
+        }
+    }
+
+    function _burn(uint256 tokenId) internal override(ERC721, ERC721URIStorage) {
+        super._burn(tokenId);
+    }
+
+    // Pull `amount` from the caller; forwarded to the FeeRouter when set, otherwise kept for withdrawFees
+    function _collectFee(address currency, uint256 amount) internal {
+        if (amount == 0) return;
+        require(IERC20(currency).transferFrom(msg.sender, address(this), amount), "Payment failed");
+        if (address(feeRouter) != address(0)) {
+            IERC20(currency).approve(address(feeRouter), amount);
+            feeRouter.payFee(FEE_SOURCE_MINT, currency, amount);
+        }
     }
 }
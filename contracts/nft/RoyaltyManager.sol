@@ -3,23 +3,42 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../token/IFeeRouter.sol";
 
 contract RoyaltyManager is Ownable {
     uint256 public platformCut = 200; // 2% = 200 basis points
     uint256 public constant MAX_ROYALTY = 1000; // 10%
+    uint256 public defaultRoyalty = 500; // 5%, applied to mints that don't choose a percent
+    uint256 public constant MAX_RECIPIENTS = 10;
 
     address public platformTreasury;
     address public paymentToken;
+    IFeeRouter public feeRouter; // optional; platform cut goes to platformTreasury while unset
 
     struct Royalty {
         uint256 percent; // out of 10,000 (basis points)
-        address creator;
+        address creator; // first recipient; receives rounding dust and is the ERC-2981 receiver
+    }
+
+    struct Recipient {
+        address account;
+        uint256 share; // basis points of the sale price; shares sum to Royalty.percent
     }
 
     mapping(uint256 => Royalty) public royalties;
+    mapping(uint256 => Recipient[]) private royaltyRecipients;
+    // Contracts (NFTMinting) allowed to record the creator royalty at mint
+    mapping(address => bool) public registrars;
+    // Marketplace modules allowed to pull royalties from buyers
+    mapping(address => bool) public marketplaces;
 
     event RoyaltySet(uint256 tokenId, address creator, uint256 percent);
+    event RoyaltySplitSet(uint256 indexed tokenId, address[] recipients, uint256[] shares);
+    event PayoutAddressUpdated(uint256 indexed tokenId, address indexed oldAccount, address indexed newAccount);
     event RoyaltyPaid(uint256 tokenId, address to, uint256 amount, address buyer);
+    event RegistrarUpdated(address indexed registrar, bool allowed);
+    event MarketplaceUpdated(address indexed marketplace, bool allowed);
+    event DefaultRoyaltyUpdated(uint256 percent);
 
     constructor(address _paymentToken, address _treasury) {
         paymentToken = _paymentToken;
@@ -28,23 +47,100 @@ contract RoyaltyManager is Ownable {
 
     function setRoyalty(uint256 tokenId, address creator, uint256 percent) external onlyOwner {
         require(percent <= MAX_ROYALTY, "Royalty too high");
-        royalties[tokenId] = Royalty(percent, creator);
-        emit RoyaltySet(tokenId, creator, percent);
+        _setSingleRecipient(tokenId, creator, percent);
     }
 
-    function distributeRoyalty(uint256 tokenId, uint256 salePrice, address buyer) external {
-        Royalty memory r = royalties[tokenId];
-        require(r.percent > 0, "No royalty set");
+    /**
+     * @notice Split the royalty on `tokenId` between collaborators. Each share is in basis points of
+     * the sale price and the total royalty is their sum.
+     */
+    function setRoyaltySplit(uint256 tokenId, address[] calldata recipients, uint256[] calldata shares) external onlyOwner {
+        require(recipients.length > 0 && recipients.length <= MAX_RECIPIENTS, "Invalid recipient count");
+        require(recipients.length == shares.length, "Length mismatch");
 
-        uint256 royaltyAmount = (salePrice * r.percent) / 10000;
-        uint256 platformAmount = (royaltyAmount * platformCut) / 10000;
-        uint256 creatorAmount = royaltyAmount - platformAmount;
+        delete royaltyRecipients[tokenId];
+        uint256 total;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "Invalid recipient");
+            require(shares[i] > 0, "Zero share");
+            for (uint256 j = 0; j < i; j++) {
+                require(recipients[j] != recipients[i], "Duplicate recipient");
+            }
+            total += shares[i];
+            royaltyRecipients[tokenId].push(Recipient(recipients[i], shares[i]));
+        }
+        require(total <= MAX_ROYALTY, "Royalty too high");
+
+        royalties[tokenId] = Royalty(total, recipients[0]);
+        emit RoyaltySet(tokenId, recipients[0], total);
+        emit RoyaltySplitSet(tokenId, recipients, shares);
+    }
+
+    /// @notice Move your own share of the royalty on `tokenId` to a new payout address
+    function updatePayoutAddress(uint256 tokenId, address newAccount) external {
+        require(newAccount != address(0), "Invalid recipient");
+        Recipient[] storage list = royaltyRecipients[tokenId];
+
+        uint256 index = type(uint256).max;
+        for (uint256 i = 0; i < list.length; i++) {
+            require(list[i].account != newAccount, "Duplicate recipient");
+            if (list[i].account == msg.sender) index = i;
+        }
+        require(index != type(uint256).max, "Not a recipient");
 
-        // Pull funds from buyer (approved beforehand)
-        require(IERC20(paymentToken).transferFrom(buyer, r.creator, creatorAmount), "Creator royalty failed");
-        require(IERC20(paymentToken).transferFrom(buyer, platformTreasury, platformAmount), "Platform fee failed");
+        list[index].account = newAccount;
+        if (index == 0) royalties[tokenId].creator = newAccount;
 
-        emit RoyaltyPaid(tokenId, r.creator, royaltyAmount, buyer);
+        emit PayoutAddressUpdated(tokenId, msg.sender, newAccount);
+    }
+
+    function getRoyaltyRecipients(uint256 tokenId) external view returns (Recipient[] memory) {
+        return royaltyRecipients[tokenId];
+    }
+
+    /// @notice Record the creator royalty for a freshly minted token. Registrars only, once per token.
+    function registerRoyalty(uint256 tokenId, address creator, uint256 percent) external {
+        require(registrars[msg.sender], "Not registrar");
+        require(royalties[tokenId].creator == address(0), "Royalty already set");
+        require(creator != address(0), "Invalid creator");
+        require(percent <= MAX_ROYALTY, "Royalty too high");
+
+        _setSingleRecipient(tokenId, creator, percent);
+    }
+
+    function setRegistrar(address registrar, bool allowed) external onlyOwner {
+        registrars[registrar] = allowed;
+        emit RegistrarUpdated(registrar, allowed);
+    }
+
+    function setMarketplace(address marketplace, bool allowed) external onlyOwner {
+        marketplaces[marketplace] = allowed;
+        emit MarketplaceUpdated(marketplace, allowed);
+    }
+
+    function setDefaultRoyalty(uint256 percent) external onlyOwner {
+        require(percent <= MAX_ROYALTY, "Royalty too high");
+        defaultRoyalty = percent;
+        emit DefaultRoyaltyUpdated(percent);
+    }
+
+    /// @notice ERC-2981 style lookup: the creator and the full royalty owed on `salePrice`
+    function royaltyInfo(uint256 tokenId, uint256 salePrice) external view returns (address receiver, uint256 royaltyAmount) {
+        Royalty memory r = royalties[tokenId];
+        return (r.creator, (salePrice * r.percent) / 10000);
+    }
+
+    /// @notice Pull the royalty on a sale from `buyer`, who approved this contract. Marketplaces only.
+    function distributeRoyalty(uint256 tokenId, uint256 salePrice, address buyer) external {
+        require(marketplaces[msg.sender], "Not marketplace");
+        _distributeRoyalty(paymentToken, tokenId, salePrice, buyer);
+    }
+
+    /// @notice Same as distributeRoyalty but settled in `token`, for sales priced in another currency
+    function distributeRoyaltyInToken(address token, uint256 tokenId, uint256 salePrice, address buyer) external {
+        require(marketplaces[msg.sender], "Not marketplace");
+        require(token != address(0), "Invalid token");
+        _distributeRoyalty(token, tokenId, salePrice, buyer);
     }
 
     function setPlatformCut(uint256 cutBps) external onlyOwner {
@@ -55,4 +151,48 @@ contract RoyaltyManager is Ownable {
     function setTreasury(address newTreasury) external onlyOwner {
         platformTreasury = newTreasury;
     }
+
+    function setFeeRouter(address _router) external onlyOwner {
+        feeRouter = IFeeRouter(_router);
+    }
+
+    function _setSingleRecipient(uint256 tokenId, address creator, uint256 percent) internal {
+        delete royaltyRecipients[tokenId];
+        if (creator != address(0)) royaltyRecipients[tokenId].push(Recipient(creator, percent));
+        royalties[tokenId] = Royalty(percent, creator);
+        emit RoyaltySet(tokenId, creator, percent);
+    }
+
+    function _distributeRoyalty(address token, uint256 tokenId, uint256 salePrice, address buyer) internal {
+        Royalty memory r = royalties[tokenId];
+        // Tokens without a royalty sell royalty-free
+        if (r.percent == 0 || r.creator == address(0)) return;
+
+        uint256 royaltyAmount = (salePrice * r.percent) / 10000;
+        uint256 platformAmount = (royaltyAmount * platformCut) / 10000;
+        uint256 creatorsAmount = royaltyAmount - platformAmount;
+
+        // Pull funds from buyer (approved beforehand). Each recipient gets its pro-rata share of the
+        // creators' amount, rounded down; the dust goes to the first recipient.
+        Recipient[] memory list = royaltyRecipients[tokenId];
+        uint256[] memory amounts = new uint256[](list.length);
+        uint256 paid;
+        for (uint256 i = 1; i < list.length; i++) {
+            amounts[i] = (creatorsAmount * list[i].share) / r.percent;
+            paid += amounts[i];
+        }
+        amounts[0] = creatorsAmount - paid;
+
+        for (uint256 i = 0; i < list.length; i++) {
+            require(IERC20(token).transferFrom(buyer, list[i].account, amounts[i]), "Creator royalty failed");
+            emit RoyaltyPaid(tokenId, list[i].account, amounts[i], buyer);
+        }
+        if (address(feeRouter) == address(0)) {
+            require(IERC20(token).transferFrom(buyer, platformTreasury, platformAmount), "Platform fee failed");
+        } else if (platformAmount > 0) {
+            require(IERC20(token).transferFrom(buyer, address(this), platformAmount), "Platform fee failed");
+            IERC20(token).approve(address(feeRouter), platformAmount);
+            feeRouter.payFee(FEE_SOURCE_ROYALTY, token, platformAmount);
+        }
+    }
 }
@@ -7,6 +7,11 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 interface IRentalEngine {
     function registerLease(address lessor, address lessee, uint256 tokenId, uint256 duration) external;
     function forceEndLease(uint256 tokenId) external;
+    function extendLease(uint256 tokenId, uint256 duration) external;
+    function leases(uint256 tokenId)
+        external
+        view
+        returns (address lessor, address lessee, uint256 expiresAt, bool active, uint256 pricePaid, uint256 depositId);
 }
 
 contract LeaseAgreement is Ownable {
@@ -15,6 +20,7 @@ contract LeaseAgreement is Ownable {
 
     event LeaseStarted(address indexed lessor, address indexed lessee, uint256 tokenId, uint256 duration);
     event LeaseEnded(uint256 indexed tokenId, address endedBy);
+    event LeaseExtended(uint256 indexed tokenId, uint256 duration);
 
     constructor(address _nft, address _rentalEngine) {
         nft = IERC721(_nft);
@@ -25,7 +31,7 @@ contract LeaseAgreement is Ownable {
         require(nft.ownerOf(tokenId) == msg.sender, "Not token owner");
         require(duration >= 1 days, "Min duration is 1 day");
 
-        // Transfer to engine, not to lessee directly
+        // Escrow in the engine; the lessee only receives the ERC-4907 user role
         nft.transferFrom(msg.sender, address(rentalEngine), tokenId);
 
         rentalEngine.registerLease(msg.sender, lessee, tokenId, duration);
@@ -33,11 +39,29 @@ contract LeaseAgreement is Ownable {
         emit LeaseStarted(msg.sender, lessee, tokenId, duration);
     }
 
+    /// @notice The lessee can end early; the lessor only once the lease has expired
     function endLease(uint256 tokenId) external {
+        (address lessor, address lessee, uint256 expiresAt, bool active, , ) = rentalEngine.leases(tokenId);
+        require(active, "Not leased");
+        require(
+            msg.sender == lessee || (msg.sender == lessor && block.timestamp > expiresAt),
+            "Not allowed"
+        );
+
         rentalEngine.forceEndLease(tokenId);
         emit LeaseEnded(tokenId, msg.sender);
     }
 
+    /// @notice Lessor extends a running lease; no payment is involved for direct leases
+    function extendLease(uint256 tokenId, uint256 duration) external {
+        (address lessor, , , bool active, , ) = rentalEngine.leases(tokenId);
+        require(active, "Not leased");
+        require(msg.sender == lessor, "Not lessor");
+
+        rentalEngine.extendLease(tokenId, duration);
+        emit LeaseExtended(tokenId, duration);
+    }
+
     function updateEngine(address newEngine) external onlyOwner {
         rentalEngine = IRentalEngine(newEngine);
     }
@@ -2,26 +2,130 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "../token/IFeeRouter.sol";
+import "../nft/IERC4907.sol";
 
-contract RentalEngine is Ownable {
+/**
+ * @notice Rentals via ERC-4907: the NFT stays in escrow here while the lessee holds the time-bound
+ * user role, which lapses on its own at expiry.
+ */
+contract RentalEngine is Ownable, EIP712 {
     IERC721 public nft;
     address public treasury;
+    IFeeRouter public feeRouter; // optional; rental fees go to treasury while unset
+    IERC20 public depositToken; // MFH; security deposits are held here
+    address public arbiter; // resolves contested deposit claims, e.g. MultiSigAdmin
+
+    uint256 public rentalFeeBps = 500; // 5%
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public constant CLAIM_WINDOW = 3 days; // after a lease closes, for the lessor to file a claim
+    uint256 public constant CONTEST_WINDOW = 3 days; // after a claim, for the lessee to contest it
+    uint256 public constant DEFAULT_GRACE = 1 days; // after expiry, before the lessor can mark a lease defaulted
+
+    bytes32 public constant RENEWAL_TYPEHASH = keccak256(
+        "Renewal(uint256 tokenId,uint256 leaseId,address lessee,uint256 extraDays,uint256 pricePerDay,uint256 deposit,uint256 nonce,uint256 deadline)"
+    );
+
+    enum DepositStatus { None, Held, Claimed, Contested }
 
     struct Lease {
         address lessor;
         address lessee;
         uint256 expiresAt;
         bool active;
+        uint256 pricePaid; // 0 for leases registered by a lease manager
+        uint256 depositId; // 0 = no deposit
+    }
+
+    /// @notice Rent held for a paid lease and the terms snapshotted when it started
+    struct LeaseBilling {
+        address currency;
+        uint256 rentHeld; // net of fee, credited to the lessor when the lease closes
+        uint256 startedAt;
+        uint256 penaltyBps; // share of unused rent kept on early termination
+        bool allowSublet;
+        uint256 leaseId; // identifies this rental in renewal consents
+    }
+
+    struct Sublease {
+        address sublessee;
+        uint256 until;
+    }
+
+    /// @notice Standing offer to rent an escrowed NFT for `minDays`..`maxDays` at `pricePerDay`
+    struct RentalOffer {
+        address lessor;
+        uint256 pricePerDay;
+        uint256 minDays;
+        uint256 maxDays;
+        address currency;
+        uint256 deposit; // MFH security deposit per rental, 0 = none
+    }
+
+    /// @notice Lessor-chosen terms applied to new rentals of an offer
+    struct LeaseTerms {
+        bool autoRenew; // lessees may renew without a signed consent
+        bool allowSublet;
+        uint256 terminationPenaltyBps; // 0 = unused rent fully refunded, 10000 = no refund
+    }
+
+    /// @notice Security deposit of one rental; outlives the lease while a claim can still be made
+    struct Deposit {
+        address lessor;
+        address lessee;
+        uint256 amount;
+        uint256 releaseAfter; // set when the lease closes; 0 while it runs
+        uint256 claimAmount;
+        uint256 contestDeadline;
+        DepositStatus status;
     }
 
     mapping(uint256 => Lease) public leases;
+    mapping(uint256 => RentalOffer) public rentalOffers;
+    mapping(uint256 => LeaseTerms) public leaseTerms;
+    mapping(uint256 => LeaseBilling) public leaseBilling;
+    mapping(uint256 => Sublease) public subleases;
+    // lessor => nonce of their next renewal consent; bumped on every signed renewal
+    mapping(address => uint256) public renewalNonces;
+    // Contracts (LeaseAgreement) allowed to open and close leases
+    mapping(address => bool) public leaseManagers;
+    // tokenId => manager that registered the running lease; unset for paid rentals
+    mapping(uint256 => address) public leaseManagerOf;
+    // lessor => currency => claimable rental income
+    mapping(address => mapping(address => uint256)) public earnings;
+    mapping(uint256 => Deposit) public deposits;
+    uint256 public nextDepositId = 1;
+    uint256 public nextLeaseId = 1;
 
-    event Rented(uint256 indexed tokenId, address indexed lessee, uint256 duration);
-    event Returned(uint256 indexed tokenId, address indexed lessee);
+    event Rented(uint256 indexed tokenId, address indexed lessee, uint256 duration, uint256 pricePaid);
+    event Returned(uint256 indexed tokenId, address indexed lessee, uint256 pricePaid);
     event Defaulted(uint256 indexed tokenId);
+    event LeaseExpired(uint256 indexed tokenId, address indexed lessor);
+    event LeaseManagerUpdated(address indexed manager, bool allowed);
+    event RentalOfferPosted(uint256 indexed tokenId, address indexed lessor, uint256 pricePerDay, uint256 minDays, uint256 maxDays, address currency, uint256 deposit);
+    event RentalOfferCancelled(uint256 indexed tokenId, address indexed lessor);
+    event EarningsClaimed(address indexed lessor, address indexed currency, uint256 amount);
+    event DepositHeld(uint256 indexed depositId, uint256 indexed tokenId, address indexed lessee, uint256 amount);
+    event DepositSettled(uint256 indexed depositId, uint256 toLessor, uint256 toLessee);
+    event ClaimFiled(uint256 indexed depositId, uint256 amount, string reason);
+    event ClaimContested(uint256 indexed depositId);
+    event ArbiterUpdated(address indexed arbiter);
+    event LeaseTermsUpdated(uint256 indexed tokenId, bool autoRenew, bool allowSublet, uint256 terminationPenaltyBps);
+    event LeaseRenewed(uint256 indexed tokenId, address indexed lessee, uint256 addedDuration, uint256 pricePaid, uint256 expiresAt);
+    event LeaseTerminated(uint256 indexed tokenId, address indexed lessee, uint256 refund, uint256 penalty);
+    event Sublet(uint256 indexed tokenId, address indexed lessee, address indexed sublessee, uint256 until);
+    event SubleaseEnded(uint256 indexed tokenId, address indexed sublessee);
 
-    constructor(address _nft) {
+    modifier onlyManager() {
+        require(msg.sender == owner() || leaseManagers[msg.sender], "Not lease manager");
+        _;
+    }
+
+    constructor(address _nft) EIP712("RentalEngine", "1") {
         nft = IERC721(_nft);
     }
 
@@ -30,55 +134,419 @@ contract RentalEngine is Ownable {
         treasury = _treasury;
     }
 
-    function registerLease(address lessor, address lessee, uint256 tokenId, uint256 duration) external onlyOwner {
-        require(!leases[tokenId].active, "Lease already active");
+    function setFeeRouter(address _router) external onlyOwner {
+        feeRouter = IFeeRouter(_router);
+    }
 
-        leases[tokenId] = Lease({
-            lessor: lessor,
-            lessee: lessee,
-            expiresAt: block.timestamp + duration,
-            active: true
-        });
+    function setRentalFee(uint256 bps) external onlyOwner {
+        require(bps <= 1000, "Max 10%");
+        rentalFeeBps = bps;
+    }
+
+    function setDepositToken(address _token) external onlyOwner {
+        require(_token != address(0), "Invalid token");
+        depositToken = IERC20(_token);
+    }
+
+    function setArbiter(address _arbiter) external onlyOwner {
+        arbiter = _arbiter;
+        emit ArbiterUpdated(_arbiter);
+    }
+
+    function setLeaseManager(address manager, bool allowed) external onlyOwner {
+        leaseManagers[manager] = allowed;
+        emit LeaseManagerUpdated(manager, allowed);
+    }
+
+    /**
+     * @notice Escrow `tokenId` and offer it for rent. Reposting an escrowed token updates its terms;
+     * the NFT stays here between rentals until the offer is cancelled.
+     */
+    function postRentalOffer(
+        uint256 tokenId,
+        uint256 pricePerDay,
+        uint256 minDays,
+        uint256 maxDays,
+        address currency,
+        uint256 deposit
+    ) external {
+        require(pricePerDay > 0, "Invalid price");
+        require(minDays > 0 && minDays <= maxDays, "Invalid duration range");
+        require(currency != address(0), "Invalid currency");
+        require(deposit == 0 || address(depositToken) != address(0), "Deposits disabled");
+
+        if (rentalOffers[tokenId].lessor == address(0)) {
+            require(!leases[tokenId].active, "Lease already active");
+            require(nft.ownerOf(tokenId) == msg.sender, "Not token owner");
+            nft.transferFrom(msg.sender, address(this), tokenId);
+        } else {
+            require(rentalOffers[tokenId].lessor == msg.sender, "Not lessor");
+        }
+
+        rentalOffers[tokenId] = RentalOffer(msg.sender, pricePerDay, minDays, maxDays, currency, deposit);
+        emit RentalOfferPosted(tokenId, msg.sender, pricePerDay, minDays, maxDays, currency, deposit);
+    }
+
+    /// @notice Renewal, subletting and early termination terms for future rentals of `tokenId`
+    function setLeaseTerms(uint256 tokenId, bool autoRenew, bool allowSublet, uint256 terminationPenaltyBps) external {
+        require(rentalOffers[tokenId].lessor == msg.sender, "Not lessor");
+        require(terminationPenaltyBps <= BPS_DENOMINATOR, "Invalid penalty");
+
+        leaseTerms[tokenId] = LeaseTerms(autoRenew, allowSublet, terminationPenaltyBps);
+        emit LeaseTermsUpdated(tokenId, autoRenew, allowSublet, terminationPenaltyBps);
+    }
+
+    /// @notice Withdraw an offer. The NFT comes back now, or when the running rental ends.
+    function cancelRentalOffer(uint256 tokenId) external {
+        RentalOffer memory offer = rentalOffers[tokenId];
+        require(offer.lessor == msg.sender, "Not lessor");
+
+        delete rentalOffers[tokenId];
+        if (!leases[tokenId].active) {
+            nft.transferFrom(address(this), msg.sender, tokenId);
+        }
+
+        emit RentalOfferCancelled(tokenId, msg.sender);
+    }
+
+    /// @notice Rent an offered NFT for `daysCount` days, paying the full price and any deposit upfront.
+    /// Rent is held until the lease ends, so unused time can be refunded on early return.
+    function rent(uint256 tokenId, uint256 daysCount) external {
+        RentalOffer memory offer = rentalOffers[tokenId];
+        require(offer.lessor != address(0), "Not offered");
+        require(daysCount >= offer.minDays && daysCount <= offer.maxDays, "Invalid duration");
+        require(msg.sender != offer.lessor, "Lessor cannot rent");
+
+        Lease memory current = leases[tokenId];
+        if (current.active) {
+            require(block.timestamp > current.expiresAt, "Lease already active");
+            _close(tokenId, current.lessor);
+            emit LeaseExpired(tokenId, current.lessor);
+        }
+
+        uint256 price = offer.pricePerDay * daysCount;
+        uint256 rentNet = _collectRent(offer.currency, price);
+
+        _openLease(tokenId, offer.lessor, msg.sender, daysCount * 1 days, price);
+
+        LeaseTerms memory terms = leaseTerms[tokenId];
+        leaseBilling[tokenId] = LeaseBilling(
+            offer.currency,
+            rentNet,
+            block.timestamp,
+            terms.terminationPenaltyBps,
+            terms.allowSublet,
+            nextLeaseId++
+        );
+
+        if (offer.deposit > 0) {
+            require(depositToken.transferFrom(msg.sender, address(this), offer.deposit), "Deposit failed");
+            uint256 depositId = nextDepositId++;
+            deposits[depositId] = Deposit(offer.lessor, msg.sender, offer.deposit, 0, 0, 0, DepositStatus.Held);
+            leases[tokenId].depositId = depositId;
+            emit DepositHeld(depositId, tokenId, msg.sender, offer.deposit);
+        }
+    }
+
+    /**
+     * @notice Extend your running lease by `extraDays` at the offer's current price. Needs the lessor's
+     * consent: the offer's autoRenew flag, or an EIP-712 Renewal signed by the lessor (ignored with autoRenew).
+     * The consent covers this lease and the offer's current price and deposit, and uses up the lessor's nonce.
+     */
+    function renewLease(uint256 tokenId, uint256 extraDays, uint256 deadline, bytes calldata consent) external {
+        Lease storage lease = leases[tokenId];
+        require(lease.active && block.timestamp <= lease.expiresAt, "Lease not active");
+        require(msg.sender == lease.lessee, "Only lessee");
+
+        RentalOffer memory offer = rentalOffers[tokenId];
+        LeaseBilling storage billing = leaseBilling[tokenId];
+        require(offer.lessor == lease.lessor, "Not offered");
+        require(offer.currency == billing.currency, "Currency changed");
+        require(extraDays >= offer.minDays && extraDays <= offer.maxDays, "Invalid duration");
+
+        if (!leaseTerms[tokenId].autoRenew) {
+            require(block.timestamp <= deadline, "Consent expired");
+            bytes32 digest = hashRenewal(tokenId, msg.sender, extraDays, deadline);
+            require(ECDSA.recover(digest, consent) == lease.lessor, "Invalid consent");
+            renewalNonces[lease.lessor]++;
+        }
+
+        uint256 price = offer.pricePerDay * extraDays;
+        billing.rentHeld += _collectRent(offer.currency, price);
+        lease.pricePaid += price;
+        _extend(tokenId, extraDays * 1 days, price);
+    }
+
+    /// @notice Lessor-side extension by the lease manager that registered the lease (no payment involved).
+    /// Paid rentals are only extended by their lessee through renewLease.
+    function extendLease(uint256 tokenId, uint256 duration) external onlyManager {
+        Lease storage lease = leases[tokenId];
+        require(lease.active && block.timestamp <= lease.expiresAt, "Lease not active");
+        require(leaseManagerOf[tokenId] == msg.sender, "Lease not managed by caller");
+        require(duration > 0, "Invalid duration");
+        _extend(tokenId, duration, 0);
+    }
+
+    /// @notice EIP-712 digest the lessor signs to consent to a renewal of the current lease on its current terms
+    function hashRenewal(uint256 tokenId, address lessee, uint256 extraDays, uint256 deadline) public view returns (bytes32) {
+        RentalOffer memory offer = rentalOffers[tokenId];
+        return _hashTypedDataV4(keccak256(abi.encode(
+            RENEWAL_TYPEHASH,
+            tokenId,
+            leaseBilling[tokenId].leaseId,
+            lessee,
+            extraDays,
+            offer.pricePerDay,
+            offer.deposit,
+            renewalNonces[offer.lessor],
+            deadline
+        )));
+    }
 
-        // Transfer to lessee for use (could restrict via wrapper)
-        nft.transferFrom(address(this), lessee, tokenId);
+    /// @notice Hand the usage right to `sublessee` until `until`, no later than the lease itself
+    function sublet(uint256 tokenId, address sublessee, uint256 until) external {
+        Lease memory lease = leases[tokenId];
+        require(lease.active && msg.sender == lease.lessee, "Only lessee");
+        require(leaseBilling[tokenId].allowSublet, "Subletting not allowed");
+        require(subleases[tokenId].until < block.timestamp, "Sublease active");
+        require(sublessee != address(0) && sublessee != msg.sender, "Invalid sublessee");
+        require(until > block.timestamp && until <= lease.expiresAt, "Sublease exceeds lease");
+
+        subleases[tokenId] = Sublease(sublessee, until);
+        IERC4907(address(nft)).setUser(tokenId, sublessee, uint64(until));
+
+        emit Sublet(tokenId, msg.sender, sublessee, until);
+    }
+
+    /// @notice Give the usage right back to the lessee. Sublessee anytime; lessee once the sublease is over.
+    function endSublease(uint256 tokenId) external {
+        Lease memory lease = leases[tokenId];
+        Sublease memory sub = subleases[tokenId];
+        address sublessee = sub.sublessee;
+        require(sublessee != address(0), "No sublease");
+        require(
+            msg.sender == sublessee || (msg.sender == lease.lessee && block.timestamp > sub.until),
+            "Not allowed"
+        );
+
+        delete subleases[tokenId];
+        IERC4907(address(nft)).setUser(tokenId, lease.lessee, uint64(lease.expiresAt));
+
+        emit SubleaseEnded(tokenId, sublessee);
+    }
+
+    /// @notice Lessor claims up to the full deposit within CLAIM_WINDOW of the lease closing
+    function fileClaim(uint256 depositId, uint256 amount, string calldata reason) external {
+        Deposit storage d = deposits[depositId];
+        require(d.lessor == msg.sender, "Not lessor");
+        require(d.status == DepositStatus.Held, "Deposit not claimable");
+        require(d.releaseAfter != 0 && block.timestamp < d.releaseAfter, "Outside claim window");
+        require(amount > 0 && amount <= d.amount, "Invalid claim amount");
+
+        d.status = DepositStatus.Claimed;
+        d.claimAmount = amount;
+        d.contestDeadline = block.timestamp + CONTEST_WINDOW;
+
+        emit ClaimFiled(depositId, amount, reason);
+    }
+
+    /// @notice Lessee disputes a claim; the arbiter then decides
+    function contestClaim(uint256 depositId) external {
+        Deposit storage d = deposits[depositId];
+        require(d.lessee == msg.sender, "Not lessee");
+        require(d.status == DepositStatus.Claimed, "No open claim");
+        require(block.timestamp < d.contestDeadline, "Contest window over");
+
+        d.status = DepositStatus.Contested;
+        emit ClaimContested(depositId);
+    }
 
-        emit Rented(tokenId, lessee, duration);
+    /// @notice Pay out an uncontested claim once its contest window is over. Callable by anyone.
+    function settleClaim(uint256 depositId) external {
+        Deposit memory d = deposits[depositId];
+        require(d.status == DepositStatus.Claimed, "No open claim");
+        require(block.timestamp >= d.contestDeadline, "Contest window open");
+        _settleDeposit(depositId, d.claimAmount);
     }
 
+    /// @notice Arbiter awards `toLessor` (at most the claimed amount) on a contested claim
+    function resolveClaim(uint256 depositId, uint256 toLessor) external {
+        require(msg.sender == arbiter, "Not arbiter");
+        Deposit memory d = deposits[depositId];
+        require(d.status == DepositStatus.Contested, "Not contested");
+        require(toLessor <= d.claimAmount, "Exceeds claim");
+        _settleDeposit(depositId, toLessor);
+    }
+
+    /// @notice Lessee takes the deposit back once the claim window passed without a claim
+    function withdrawDeposit(uint256 depositId) external {
+        Deposit memory d = deposits[depositId];
+        require(d.lessee == msg.sender, "Not lessee");
+        require(d.status == DepositStatus.Held, "Deposit not withdrawable");
+        require(d.releaseAfter != 0 && block.timestamp >= d.releaseAfter, "Claim window open");
+        _settleDeposit(depositId, 0);
+    }
+
+    function claimEarnings(address currency) external {
+        uint256 amount = earnings[msg.sender][currency];
+        require(amount > 0, "Nothing to claim");
+        earnings[msg.sender][currency] = 0;
+        require(IERC20(currency).transfer(msg.sender, amount), "Claim failed");
+        emit EarningsClaimed(msg.sender, currency, amount);
+    }
+
+    /// @notice Open a lease on an NFT already escrowed here; the lessee becomes its ERC-4907 user
+    function registerLease(address lessor, address lessee, uint256 tokenId, uint256 duration) external onlyManager {
+        require(!leases[tokenId].active, "Lease already active");
+        require(nft.ownerOf(tokenId) == address(this), "NFT not in escrow");
+        require(rentalOffers[tokenId].lessor == address(0), "Token has rental offer");
+
+        _openLease(tokenId, lessor, lessee, duration, 0);
+        leaseManagerOf[tokenId] = msg.sender;
+    }
+
+    /**
+     * @notice Lessee gives up the remaining rental time early. Unused rent is refunded minus the lease's
+     * termination penalty, which goes to the lessor; the deposit is refunded straight away before expiry.
+     */
     function returnNFT(uint256 tokenId) external {
         Lease memory lease = leases[tokenId];
         require(lease.active, "Not leased");
         require(msg.sender == lease.lessee, "Only lessee can return");
+        require(subleases[tokenId].until < block.timestamp, "Sublease active");
 
-        // End lease and return NFT to owner
-        delete leases[tokenId];
-        nft.transferFrom(msg.sender, lease.lessor, tokenId);
+        LeaseBilling storage billing = leaseBilling[tokenId];
+        if (billing.rentHeld > 0 && block.timestamp < lease.expiresAt) {
+            uint256 unused = (billing.rentHeld * (lease.expiresAt - block.timestamp)) / (lease.expiresAt - billing.startedAt);
+            uint256 penalty = (unused * billing.penaltyBps) / BPS_DENOMINATOR;
+            uint256 refund = unused - penalty;
+            billing.rentHeld -= refund;
+            if (refund > 0) require(IERC20(billing.currency).transfer(msg.sender, refund), "Refund failed");
+            emit LeaseTerminated(tokenId, msg.sender, refund, penalty);
+        }
 
-        emit Returned(tokenId, msg.sender);
+        _close(tokenId, lease.lessor);
+        if (lease.depositId != 0 && block.timestamp <= lease.expiresAt) {
+            _settleDeposit(lease.depositId, 0);
+        }
+
+        emit Returned(tokenId, msg.sender, lease.pricePaid);
     }
 
-    function markDefaulted(uint256 tokenId) external onlyOwner {
+    /// @notice Send the NFT back to the lessor once the lease has run out. Callable by anyone.
+    function endExpiredLease(uint256 tokenId) external {
         Lease memory lease = leases[tokenId];
         require(lease.active, "Lease not active");
         require(block.timestamp > lease.expiresAt, "Lease not expired");
 
-        delete leases[tokenId];
-        nft.transferFrom(lease.lessee, lease.lessor, tokenId);
+        _close(tokenId, lease.lessor);
+
+        emit LeaseExpired(tokenId, lease.lessor);
+    }
+
+    /**
+     * @notice Lessor closes a lease still open DEFAULT_GRACE after expiry. The NFT never left escrow, so a
+     * lapsed lease is no breach by itself: the deposit follows the usual expiry path, refundable once
+     * CLAIM_WINDOW passes unless the lessor files a claim, which the lessee can contest before the arbiter.
+     */
+    function markDefaulted(uint256 tokenId) external {
+        Lease memory lease = leases[tokenId];
+        require(lease.active, "Lease not active");
+        require(msg.sender == lease.lessor, "Not lessor");
+        require(block.timestamp > lease.expiresAt + DEFAULT_GRACE, "Grace period not over");
+
+        _close(tokenId, lease.lessor);
 
         emit Defaulted(tokenId);
     }
 
-    function forceEndLease(uint256 tokenId) external onlyOwner {
+    function forceEndLease(uint256 tokenId) external onlyManager {
         Lease memory lease = leases[tokenId];
         if (lease.active) {
-            delete leases[tokenId];
-            nft.transferFrom(lease.lessee, lease.lessor, tokenId);
-            emit Returned(tokenId, lease.lessee);
+            _close(tokenId, lease.lessor);
+            emit Returned(tokenId, lease.lessee, lease.pricePaid);
         }
     }
 
     function getLeaseInfo(uint256 tokenId) external view returns (Lease memory) {
         return leases[tokenId];
     }
+
+    function _openLease(uint256 tokenId, address lessor, address lessee, uint256 duration, uint256 price) internal {
+        require(lessee != address(0), "Invalid lessee");
+
+        uint256 expiresAt = block.timestamp + duration;
+        leases[tokenId] = Lease({
+            lessor: lessor,
+            lessee: lessee,
+            expiresAt: expiresAt,
+            active: true,
+            pricePaid: price,
+            depositId: 0
+        });
+
+        IERC4907(address(nft)).setUser(tokenId, lessee, uint64(expiresAt));
+
+        emit Rented(tokenId, lessee, duration, price);
+    }
+
+    // Ends the lease. Offered NFTs stay in escrow for the next renter; others go back to the lessor,
+    // which also clears the ERC-4907 user.
+    function _close(uint256 tokenId, address lessor) internal {
+        uint256 depositId = leases[tokenId].depositId;
+        if (depositId != 0) deposits[depositId].releaseAfter = block.timestamp + CLAIM_WINDOW;
+        LeaseBilling memory billing = leaseBilling[tokenId];
+        if (billing.rentHeld > 0) earnings[lessor][billing.currency] += billing.rentHeld;
+
+        delete leases[tokenId];
+        delete leaseBilling[tokenId];
+        delete subleases[tokenId];
+        delete leaseManagerOf[tokenId];
+        if (rentalOffers[tokenId].lessor != address(0)) {
+            IERC4907(address(nft)).setUser(tokenId, address(0), 0);
+        } else {
+            nft.transferFrom(address(this), lessor, tokenId);
+        }
+    }
+
+    function _extend(uint256 tokenId, uint256 duration, uint256 price) internal {
+        Lease storage lease = leases[tokenId];
+        lease.expiresAt += duration;
+        // A running sublease keeps the user role until it ends
+        if (subleases[tokenId].until < block.timestamp) {
+            IERC4907(address(nft)).setUser(tokenId, lease.lessee, uint64(lease.expiresAt));
+        }
+        emit LeaseRenewed(tokenId, lease.lessee, duration, price, lease.expiresAt);
+    }
+
+    // Pulls `price` from the renter and pays the platform fee; returns the lessor's net rent
+    function _collectRent(address currency, uint256 price) internal returns (uint256) {
+        uint256 fee = (price * rentalFeeBps) / BPS_DENOMINATOR;
+        require(IERC20(currency).transferFrom(msg.sender, address(this), price), "Payment failed");
+        _payFee(currency, fee);
+        return price - fee;
+    }
+
+    // Lessor's share accrues to earnings, the rest goes back to the lessee
+    function _settleDeposit(uint256 depositId, uint256 toLessor) internal {
+        Deposit memory d = deposits[depositId];
+        delete deposits[depositId];
+
+        uint256 toLessee = d.amount - toLessor;
+        if (toLessor > 0) earnings[d.lessor][address(depositToken)] += toLessor;
+        if (toLessee > 0) require(depositToken.transfer(d.lessee, toLessee), "Deposit refund failed");
+
+        emit DepositSettled(depositId, toLessor, toLessee);
+    }
+
+    // Fee goes through the FeeRouter when one is set, otherwise straight to treasury
+    function _payFee(address currency, uint256 amount) internal {
+        if (amount == 0) return;
+        if (address(feeRouter) == address(0)) {
+            require(IERC20(currency).transfer(treasury, amount), "Fee transfer failed");
+            return;
+        }
+        IERC20(currency).approve(address(feeRouter), amount);
+        feeRouter.payFee(FEE_SOURCE_RENTAL, currency, amount);
+    }
 }
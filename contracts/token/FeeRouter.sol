@@ -0,0 +1,106 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./IFeeRouter.sol";
+
+interface ITreasuryVault {
+    function deposit(address token, uint256 amount) external;
+}
+
+/**
+ * @notice Single entry point for platform fees. Modules pay in with a source tag; each payment is split
+ * between the configured recipients (e.g. burn address, StakingRewards top-up) and TreasuryVault gets the rest.
+ */
+contract FeeRouter is IFeeRouter, Ownable {
+    struct Split {
+        address recipient;
+        uint256 bps;
+    }
+
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public constant MAX_SPLITS = 5;
+
+    address public treasuryVault;
+    Split[] public splits;
+
+    mapping(address => bool) public isModule;
+    // source => token => cumulative fees received
+    mapping(bytes32 => mapping(address => uint256)) public totalBySource;
+
+    event FeeReceived(bytes32 indexed source, address indexed token, address indexed module, uint256 amount);
+    event FeeDistributed(address indexed token, address indexed recipient, uint256 amount);
+    event ModuleUpdated(address indexed module, bool allowed);
+    event SplitsUpdated(address[] recipients, uint256[] bps);
+    event TreasuryVaultUpdated(address indexed vault);
+
+    modifier onlyModule() {
+        require(isModule[msg.sender], "FeeRouter: not a module");
+        _;
+    }
+
+    constructor(address _treasuryVault) {
+        require(_treasuryVault != address(0), "Invalid vault");
+        treasuryVault = _treasuryVault;
+    }
+
+    function setTreasuryVault(address _vault) external onlyOwner {
+        require(_vault != address(0), "Invalid vault");
+        treasuryVault = _vault;
+        emit TreasuryVaultUpdated(_vault);
+    }
+
+    function setModule(address module, bool allowed) external onlyOwner {
+        isModule[module] = allowed;
+        emit ModuleUpdated(module, allowed);
+    }
+
+    /// @notice Replace the recipient splits. Whatever is not allocated goes to TreasuryVault.
+    function setSplits(address[] calldata recipients, uint256[] calldata bps) external onlyOwner {
+        require(recipients.length == bps.length, "Mismatched arrays");
+        require(recipients.length <= MAX_SPLITS, "Too many splits");
+
+        delete splits;
+        uint256 total;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "Invalid recipient");
+            total += bps[i];
+            splits.push(Split(recipients[i], bps[i]));
+        }
+        require(total <= BPS_DENOMINATOR, "Splits exceed 100%");
+
+        emit SplitsUpdated(recipients, bps);
+    }
+
+    /**
+     * @notice Pull `amount` of `token` from the calling module and distribute it.
+     * @dev The module must approve this contract first.
+     */
+    function payFee(bytes32 source, address token, uint256 amount) external override onlyModule {
+        require(amount > 0, "FeeRouter: zero amount");
+        require(IERC20(token).transferFrom(msg.sender, address(this), amount), "FeeRouter: pull failed");
+
+        totalBySource[source][token] += amount;
+        emit FeeReceived(source, token, msg.sender, amount);
+
+        uint256 remaining = amount;
+        for (uint256 i = 0; i < splits.length; i++) {
+            uint256 share = (amount * splits[i].bps) / BPS_DENOMINATOR;
+            if (share == 0) continue;
+            remaining -= share;
+            require(IERC20(token).transfer(splits[i].recipient, share), "FeeRouter: split failed");
+            emit FeeDistributed(token, splits[i].recipient, share);
+        }
+
+        if (remaining > 0) {
+            IERC20(token).approve(treasuryVault, remaining);
+            ITreasuryVault(treasuryVault).deposit(token, remaining);
+            emit FeeDistributed(token, treasuryVault, remaining);
+        }
+    }
+
+    function getSplits() external view returns (Split[] memory) {
+        return splits;
+    }
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Source IDs used to tag fee payments in FeeRouter
+bytes32 constant FEE_SOURCE_MINT = keccak256("MINT");
+bytes32 constant FEE_SOURCE_SALE = keccak256("SALE");
+bytes32 constant FEE_SOURCE_BOOST = keccak256("BOOST");
+bytes32 constant FEE_SOURCE_ROYALTY = keccak256("ROYALTY");
+bytes32 constant FEE_SOURCE_RENTAL = keccak256("RENTAL");
+bytes32 constant FEE_SOURCE_LOAN = keccak256("LOAN");
+
+interface IFeeRouter {
+    function payFee(bytes32 source, address token, uint256 amount) external;
+}
@@ -29,6 +29,53 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
     log(` LoanModule already deployed at ${existingLoan.address}`);
   }
 
+  // --------------------------------------------
+  // 3. Interest rate model (fixed APR; swap for UtilizationRateModel via LoanModule.setRateModel)
+  // --------------------------------------------
+  const existingRate = await getOrNull("FixedRateModel");
+  if (!existingRate) {
+    const aprBps = process.env.LOAN_APR_BPS || 800;
+    const rate = await deploy("FixedRateModel", {
+      from: deployer,
+      args: [aprBps],
+      log: true,
+    });
+    log(` FixedRateModel deployed at ${rate.address} (${aprBps} bps APR)`);
+  } else {
+    log(` FixedRateModel already deployed at ${existingRate.address}`);
+  }
+
+  // --------------------------------------------
+  // 4. LendingVault (MFH pool that funds LoanModule loans)
+  // --------------------------------------------
+  const existingVault = await getOrNull("LendingVault");
+  if (!existingVault) {
+    const cap = ethers.parseEther(process.env.LENDING_VAULT_CAP || "1000000");
+    const vault = await deploy("LendingVault", {
+      from: deployer,
+      args: [mfh, cap],
+      log: true,
+    });
+    log(` LendingVault deployed at ${vault.address} | cap ${ethers.formatEther(cap)} MFH`);
+  } else {
+    log(` LendingVault already deployed at ${existingVault.address}`);
+  }
+
+  // --------------------------------------------
+  // 5. NFTPriceOracle (collateral values from marketplace sales)
+  // --------------------------------------------
+  const existingOracle = await getOrNull("NFTPriceOracle");
+  if (!existingOracle) {
+    const oracle = await deploy("NFTPriceOracle", {
+      from: deployer,
+      args: [mfh],
+      log: true,
+    });
+    log(` NFTPriceOracle deployed at ${oracle.address}`);
+  } else {
+    log(` NFTPriceOracle already deployed at ${existingOracle.address}`);
+  }
+
   log(" Finance Module deployed.");
 };
 
@@ -43,7 +43,7 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
   if (!existingAuction) {
     const auction = await deploy("AuctionModule", {
       from: deployer,
-      args: [nft, paymentToken],
+      args: [nft, paymentToken, treasury, royaltyManager],
       log: true,
     });
     log(` AuctionModule at ${auction.address} | Gas: ${auction.receipt.gasUsed}`);
@@ -56,7 +56,7 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
   if (!existingBidding) {
     const bidding = await deploy("BiddingSystem", {
       from: deployer,
-      args: [nft, paymentToken],
+      args: [nft, paymentToken, treasury, royaltyManager],
       log: true,
     });
     log(` BiddingSystem at ${bidding.address} | Gas: ${bidding.receipt.gasUsed}`);
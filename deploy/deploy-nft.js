@@ -26,9 +26,10 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
   // Deploy BoostEngine
   const existingBoost = await getOrNull("BoostEngine");
   if (!existingBoost) {
+    const nftAddress = (await deployments.get("NFTMinting")).address;
     const boost = await deploy("BoostEngine", {
       from: deployer,
-      args: [mfhToken, treasury],
+      args: [nftAddress, mfhToken, treasury],
       log: true,
     });
     log(` BoostEngine deployed at ${boost.address} | Gas used: ${boost.receipt.gasUsed}`);
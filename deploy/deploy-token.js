@@ -38,7 +38,24 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
   }
 
   // ---------------------------------------
-  // 3. Deploy StakingRewards (pass token address)
+  // 3. Deploy FeeRouter (feeds TreasuryVault)
+  // ---------------------------------------
+  const vaultDeployment = await deployments.get("TreasuryVault");
+
+  const existingRouter = await getOrNull("FeeRouter");
+  if (!existingRouter) {
+    const router = await deploy("FeeRouter", {
+      from: deployer,
+      args: [vaultDeployment.address],
+      log: true,
+    });
+    log(` FeeRouter deployed at ${router.address} | Gas used: ${router.receipt.gasUsed.toString()}`);
+  } else {
+    log(" FeeRouter already deployed at", existingRouter.address);
+  }
+
+  // ---------------------------------------
+  // 4. Deploy StakingRewards (pass token address)
   // ---------------------------------------
   const mfhToken = await deployments.get("MFHToken");
 
@@ -1,7 +1,7 @@
 const { ethers } = require("hardhat");
 
 module.exports = async ({ getNamedAccounts, deployments }) => {
-  const { log, get } = deployments;
+  const { log, get, getOrNull } = deployments;
   const { deployer } = await getNamedAccounts();
 
   const signer = await ethers.getSigner(deployer);
@@ -23,17 +23,92 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
   await (await (await getContract("BoostEngine")).setPaymentToken(mfh)).wait();
   await (await (await getContract("CheckInReward")).setToken(mfh)).wait();
   await (await (await getContract("LoanModule")).setToken(mfh)).wait();
+  await (await (await getContract("RentalEngine")).setDepositToken(mfh)).wait();
   log(" MFHToken injected into all modules");
 
   // 2. Inject TreasuryVault
   await (await (await getContract("BoostEngine")).setTreasury(vault)).wait();
   await (await (await getContract("MarketplaceCore")).setTreasury(vault)).wait();
+  await (await (await getContract("BiddingSystem")).setTreasury(vault)).wait();
+  await (await (await getContract("AuctionModule")).setTreasury(vault)).wait();
   await (await (await getContract("RentalEngine")).setTreasury(vault)).wait();
+  await (await (await getContract("LoanModule")).setTreasury(vault)).wait();
+  await (await (await getContract("BuyNowPayLater")).setTreasury(vault)).wait();
   log(" TreasuryVault injected into fee modules");
 
   // 3. Inject RoyaltyManager
   await (await (await getContract("MarketplaceCore")).setRoyaltyManager(royalty)).wait();
-  log(" RoyaltyManager linked with MarketplaceCore");
+  await (await (await getContract("BiddingSystem")).setRoyaltyManager(royalty)).wait();
+  await (await (await getContract("AuctionModule")).setRoyaltyManager(royalty)).wait();
+  const royaltyManager = await getContract("RoyaltyManager");
+  for (const name of ["MarketplaceCore", "BiddingSystem", "AuctionModule"]) {
+    await (await royaltyManager.setMarketplace(await getAddress(name), true)).wait();
+  }
+  log(" RoyaltyManager linked with MarketplaceCore, BiddingSystem and AuctionModule");
+
+  const nftMinting = await getContract("NFTMinting");
+  await (await nftMinting.setRoyaltyManager(royalty)).wait();
+  await (await (await getContract("RoyaltyManager")).setRegistrar(nftMinting.target, true)).wait();
+  log(" NFTMinting records creator royalties in RoyaltyManager");
+
+  // 3a. Report marketplace sales to BoostEngine so boosts move with the NFT or get refunded
+  const boostEngine = await getContract("BoostEngine");
+  for (const name of ["MarketplaceCore", "BiddingSystem", "AuctionModule"]) {
+    await (await boostEngine.setMarketplace(await getAddress(name), true)).wait();
+    await (await (await getContract(name)).setBoostEngine(boostEngine.target)).wait();
+  }
+  log(" BoostEngine linked with MarketplaceCore, BiddingSystem and AuctionModule");
+
+  // 3b. Accept USDT as a listing currency (if deployed)
+  const usdt = await getOrNull("USDT");
+  if (usdt) {
+    await (await (await getContract("MarketplaceCore")).setAcceptedCurrency(usdt.address, true)).wait();
+    log(` USDT accepted as listing currency: ${usdt.address}`);
+  }
+
+  // 3c. Loans accrue interest from the rate model
+  await (await (await getContract("LoanModule")).setRateModel(await getAddress("FixedRateModel"))).wait();
+  log(" LoanModule rate model set");
+
+  // 3d. Pool loans are funded by LendingVault depositors
+  const lendingVault = await getContract("LendingVault");
+  const loanModule = await getContract("LoanModule");
+  await (await lendingVault.setLoanModule(loanModule.target)).wait();
+  await (await loanModule.setVault(lendingVault.target)).wait();
+  log(" LendingVault linked with LoanModule");
+
+  // 3e. Marketplace and auction sales feed the price oracle that LoanModule values collateral with
+  const priceOracle = await getContract("NFTPriceOracle");
+  for (const name of ["MarketplaceCore", "AuctionModule"]) {
+    await (await priceOracle.setReporter(await getAddress(name), true)).wait();
+    await (await (await getContract(name)).setPriceOracle(priceOracle.target)).wait();
+  }
+  await (await loanModule.setOracle(priceOracle.target)).wait();
+  await (await (await getContract("BuyNowPayLater")).setOracle(priceOracle.target)).wait();
+  log(" NFTPriceOracle fed by MarketplaceCore and AuctionModule, used by LoanModule and BuyNowPayLater");
+
+  // 3f. Defaulted loan and BNPL collateral is sold in AuctionModule liquidation auctions
+  const auctionModule = await getContract("AuctionModule");
+  for (const name of ["LoanModule", "BuyNowPayLater"]) {
+    await (await auctionModule.setLiquidator(await getAddress(name), true)).wait();
+    await (await (await getContract(name)).setAuctionModule(auctionModule.target)).wait();
+  }
+  log(" LoanModule and BuyNowPayLater liquidate through AuctionModule");
+  const relistMinBid = ethers.parseEther(process.env.VAULT_RELIST_MIN_BID || "1");
+  await (await lendingVault.setRelistTerms(auctionModule.target, relistMinBid, 86400)).wait();
+  log(` Unsold LendingVault collateral can be relisted by anyone from ${ethers.formatEther(relistMinBid)} MFH`);
+
+  // 3g. BuyNowPayLater buys MarketplaceCore listings on credit; sellers are paid as installments arrive
+  // unless a financing pool is set (BNPL_FINANCING_POOL, which must approve BuyNowPayLater for MFH)
+  const marketplaceCore = await getContract("MarketplaceCore");
+  const bnpl = await getContract("BuyNowPayLater");
+  await (await marketplaceCore.setFinancier(bnpl.target, true)).wait();
+  await (await bnpl.setMarketplace(marketplaceCore.target)).wait();
+  if (process.env.BNPL_FINANCING_POOL) {
+    await (await bnpl.setFinancingPool(process.env.BNPL_FINANCING_POOL)).wait();
+    log(` BuyNowPayLater financing pool set: ${process.env.BNPL_FINANCING_POOL}`);
+  }
+  log(" BuyNowPayLater linked with MarketplaceCore");
 
   // 4. Whitelist trusted modules in EscrowManager
   const trustedModules = [
@@ -50,7 +125,53 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
 
   log(" EscrowManager whitelisting complete");
 
-  // 5. (Optional) RewardDistributor trigger address
+  // 4b. Let LeaseAgreement open and close leases in RentalEngine
+  await (await (await getContract("RentalEngine")).setLeaseManager(await getAddress("LeaseAgreement"), true)).wait();
+  log(" LeaseAgreement registered as RentalEngine lease manager");
+
+  // 4c. Contested rental deposit claims are resolved by MultiSigAdmin (or the deployer without one)
+  const multiSigAdmin = await getOrNull("MultiSigAdmin");
+  const arbiter = multiSigAdmin ? multiSigAdmin.address : deployer;
+  await (await (await getContract("RentalEngine")).setArbiter(arbiter)).wait();
+  log(` RentalEngine arbiter set: ${arbiter}`);
+
+  // 5. Route all module fees through FeeRouter
+  const feeRouter = await getContract("FeeRouter");
+  const feeModules = [
+    "MarketplaceCore",
+    "BiddingSystem",
+    "AuctionModule",
+    "BoostEngine",
+    "RoyaltyManager",
+    "NFTMinting",
+    "RentalEngine",
+    "LoanModule",
+  ];
+
+  for (const name of feeModules) {
+    const moduleAddress = await getAddress(name);
+    await (await feeRouter.setModule(moduleAddress, true)).wait();
+    await (await (await getContract(name)).setFeeRouter(feeRouter.target)).wait();
+    log(` ${name} now pays fees through FeeRouter`);
+  }
+
+  // Optional splits, in basis points of each fee (remainder goes to TreasuryVault)
+  const splitRecipients = [];
+  const splitBps = [];
+  if (process.env.FEE_BURN_BPS) {
+    splitRecipients.push("0x000000000000000000000000000000000000dEaD");
+    splitBps.push(Number(process.env.FEE_BURN_BPS));
+  }
+  if (process.env.FEE_STAKING_BPS) {
+    splitRecipients.push(await getAddress("StakingRewards"));
+    splitBps.push(Number(process.env.FEE_STAKING_BPS));
+  }
+  if (splitRecipients.length > 0) {
+    await (await feeRouter.setSplits(splitRecipients, splitBps)).wait();
+    log(` FeeRouter splits set: ${splitBps.join("/")} bps`);
+  }
+
+  // 6. (Optional) RewardDistributor trigger address
   // const engagementContract = "0x..."; // ← set manually if you have it
   // await (await (await getContract("RewardDistributor")).setTrigger(engagementContract)).wait();
   // log(" Engagement trigger set");
@@ -4,7 +4,15 @@ require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-deploy");
 
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
   namedAccounts: {
     deployer: {
       default: 0,
@@ -0,0 +1,69 @@
+// scripts/buildAllowlist.js
+// Builds the Merkle root and per-address proofs for an NFTMinting mint phase from a CSV of addresses.
+//
+// Usage: node scripts/buildAllowlist.js <addresses.csv> [output.json]
+// The first column of each row is read as the address; a header row and blank lines are skipped.
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { buildTree, addressLeaf } = require("./merkleTree");
+
+function parseAddresses(csv) {
+  const seen = new Set();
+  const addresses = [];
+
+  csv.split(/\r?\n/).forEach((line, i) => {
+    const cell = line.split(",")[0].trim().replace(/^"|"$/g, "");
+    if (!cell) return;
+    if (!ethers.isAddress(cell)) {
+      if (i === 0) return; // header
+      throw new Error(`Invalid address on line ${i + 1}: ${cell}`);
+    }
+    const address = ethers.getAddress(cell);
+    if (!seen.has(address)) {
+      seen.add(address);
+      addresses.push(address);
+    }
+  });
+
+  if (addresses.length === 0) throw new Error("No addresses found");
+  return addresses;
+}
+
+/**
+ * @returns {{ root: string, proofs: Object<string, string[]> }} proofs keyed by checksummed address
+ */
+function buildAllowlist(addresses) {
+  const tree = buildTree(addresses.map(addressLeaf));
+  const proofs = {};
+  for (const address of addresses) {
+    proofs[address] = tree.getProof(addressLeaf(address));
+  }
+  return { root: tree.root, proofs };
+}
+
+function main() {
+  const [input, output] = process.argv.slice(2);
+  if (!input) {
+    console.error("Usage: node scripts/buildAllowlist.js <addresses.csv> [output.json]");
+    process.exit(1);
+  }
+
+  const allowlist = buildAllowlist(parseAddresses(fs.readFileSync(input, "utf8")));
+  const json = JSON.stringify(allowlist, null, 2);
+
+  if (output) {
+    fs.writeFileSync(output, json);
+    console.log(` Merkle root ${allowlist.root} (${Object.keys(allowlist.proofs).length} addresses) written to ${output}`);
+  } else {
+    console.log(json);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  parseAddresses,
+  buildAllowlist,
+};
@@ -0,0 +1,59 @@
+// scripts/merkleTree.js
+// Minimal Merkle tree matching OpenZeppelin's MerkleProof (sorted-pair keccak256).
+const { ethers } = require("ethers");
+
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build a tree from already-hashed leaves (bytes32 hex strings).
+ * @returns {{ root: string, getProof: (leaf: string) => string[] }}
+ */
+function buildTree(leaves) {
+  if (leaves.length === 0) throw new Error("No leaves");
+
+  const layers = [[...leaves]];
+  while (layers[layers.length - 1].length > 1) {
+    const prev = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < prev.length; i += 2) {
+      // Odd node is promoted unchanged
+      next.push(i + 1 < prev.length ? hashPair(prev[i], prev[i + 1]) : prev[i]);
+    }
+    layers.push(next);
+  }
+
+  const getProof = (leaf) => {
+    let index = layers[0].findIndex((l) => l.toLowerCase() === leaf.toLowerCase());
+    if (index === -1) throw new Error(`Leaf not in tree: ${leaf}`);
+
+    const proof = [];
+    for (let i = 0; i < layers.length - 1; i++) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layers[i].length) proof.push(layers[i][sibling]);
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  };
+
+  return { root: layers[layers.length - 1][0], getProof };
+}
+
+// Leaf for a token ID, as checked by BiddingSystem: keccak256(abi.encodePacked(tokenId))
+function tokenIdLeaf(tokenId) {
+  return ethers.solidityPackedKeccak256(["uint256"], [tokenId]);
+}
+
+// Leaf for a wallet, as checked by NFTMinting.mintInPhase: keccak256(abi.encodePacked(address))
+function addressLeaf(address) {
+  return ethers.solidityPackedKeccak256(["address"], [address]);
+}
+
+module.exports = {
+  buildTree,
+  tokenIdLeaf,
+  addressLeaf,
+};
@@ -0,0 +1,60 @@
+// scripts/signOrder.js
+// Builds and signs EIP-712 sell orders for MarketplaceCore.fulfillOrder (ethers v6).
+const { ethers } = require("ethers");
+
+const ORDER_TYPES = {
+  Order: [
+    { name: "seller", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "price", type: "uint256" },
+    { name: "currency", type: "address" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+async function getOrderDomain(marketplaceAddress, provider) {
+  const { chainId } = await provider.getNetwork();
+  return {
+    name: "MarketplaceCore",
+    version: "1",
+    chainId,
+    verifyingContract: marketplaceAddress,
+  };
+}
+
+function buildOrder({ seller, tokenId, price, currency, expiry, nonce }) {
+  if (!ethers.isAddress(seller)) throw new Error("Invalid seller address");
+  if (!ethers.isAddress(currency)) throw new Error("Invalid currency address");
+  return {
+    seller: ethers.getAddress(seller),
+    tokenId: BigInt(tokenId),
+    price: BigInt(price),
+    currency: ethers.getAddress(currency),
+    expiry: BigInt(expiry),
+    nonce: BigInt(nonce),
+  };
+}
+
+/**
+ * Sign an order with the seller's signer.
+ * @returns {{ order, signature }} ready to pass to fulfillOrder(order, signature)
+ */
+async function signOrder(signer, marketplaceAddress, params) {
+  const order = buildOrder({ seller: await signer.getAddress(), ...params });
+  const domain = await getOrderDomain(marketplaceAddress, signer.provider);
+  const signature = await signer.signTypedData(domain, ORDER_TYPES, order);
+  return { order, signature };
+}
+
+function hashOrder(domain, order) {
+  return ethers.TypedDataEncoder.hash(domain, ORDER_TYPES, order);
+}
+
+module.exports = {
+  ORDER_TYPES,
+  getOrderDomain,
+  buildOrder,
+  signOrder,
+  hashOrder,
+};
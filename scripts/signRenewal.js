@@ -0,0 +1,55 @@
+// scripts/signRenewal.js
+// Signs the lessor's EIP-712 consent for RentalEngine.renewLease (ethers v6).
+const { ethers } = require("ethers");
+
+const RENEWAL_TYPES = {
+  Renewal: [
+    { name: "tokenId", type: "uint256" },
+    { name: "leaseId", type: "uint256" },
+    { name: "lessee", type: "address" },
+    { name: "extraDays", type: "uint256" },
+    { name: "pricePerDay", type: "uint256" },
+    { name: "deposit", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+async function getRenewalDomain(engineAddress, provider) {
+  const { chainId } = await provider.getNetwork();
+  return {
+    name: "RentalEngine",
+    version: "1",
+    chainId,
+    verifyingContract: engineAddress,
+  };
+}
+
+/**
+ * Sign a renewal consent with the lessor's signer.
+ * leaseId comes from leaseBilling(tokenId), pricePerDay and deposit from rentalOffers(tokenId),
+ * nonce from renewalNonces(lessor).
+ * @returns {{ renewal, signature }}; the lessee passes (tokenId, extraDays, deadline, signature) to renewLease
+ */
+async function signRenewal(signer, engineAddress, { tokenId, leaseId, lessee, extraDays, pricePerDay, deposit, nonce, deadline }) {
+  if (!ethers.isAddress(lessee)) throw new Error("Invalid lessee address");
+  const renewal = {
+    tokenId: BigInt(tokenId),
+    leaseId: BigInt(leaseId),
+    lessee: ethers.getAddress(lessee),
+    extraDays: BigInt(extraDays),
+    pricePerDay: BigInt(pricePerDay),
+    deposit: BigInt(deposit),
+    nonce: BigInt(nonce),
+    deadline: BigInt(deadline),
+  };
+  const domain = await getRenewalDomain(engineAddress, signer.provider);
+  const signature = await signer.signTypedData(domain, RENEWAL_TYPES, renewal);
+  return { renewal, signature };
+}
+
+module.exports = {
+  RENEWAL_TYPES,
+  getRenewalDomain,
+  signRenewal,
+};
@@ -0,0 +1,60 @@
+// scripts/signVoucher.js
+// Builds and signs EIP-712 lazy-mint vouchers for NFTMinting.redeemVoucher (ethers v6).
+const { ethers } = require("ethers");
+
+const VOUCHER_TYPES = {
+  MintVoucher: [
+    { name: "creator", type: "address" },
+    { name: "uri", type: "string" },
+    { name: "price", type: "uint256" },
+    { name: "royaltyBps", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+async function getVoucherDomain(nftAddress, provider) {
+  const { chainId } = await provider.getNetwork();
+  return {
+    name: "NFTMinting",
+    version: "1",
+    chainId,
+    verifyingContract: nftAddress,
+  };
+}
+
+function buildVoucher({ creator, uri, price, royaltyBps, expiry, nonce }) {
+  if (!ethers.isAddress(creator)) throw new Error("Invalid creator address");
+  if (!uri) throw new Error("Missing metadata URI");
+  return {
+    creator: ethers.getAddress(creator),
+    uri,
+    price: BigInt(price),
+    royaltyBps: BigInt(royaltyBps),
+    expiry: BigInt(expiry),
+    nonce: BigInt(nonce),
+  };
+}
+
+/**
+ * Sign a voucher with the creator's signer.
+ * @returns {{ voucher, signature }} ready to pass to redeemVoucher(voucher, signature)
+ */
+async function signVoucher(signer, nftAddress, params) {
+  const voucher = buildVoucher({ creator: await signer.getAddress(), ...params });
+  const domain = await getVoucherDomain(nftAddress, signer.provider);
+  const signature = await signer.signTypedData(domain, VOUCHER_TYPES, voucher);
+  return { voucher, signature };
+}
+
+function hashVoucher(domain, voucher) {
+  return ethers.TypedDataEncoder.hash(domain, VOUCHER_TYPES, voucher);
+}
+
+module.exports = {
+  VOUCHER_TYPES,
+  getVoucherDomain,
+  buildVoucher,
+  signVoucher,
+  hashVoucher,
+};
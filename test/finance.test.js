@@ -1,10 +1,16 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 
 describe("Finance Module", () => {
   let deployer, borrower;
-  let nft, loan, mfh;
+  let nft, loan, mfh, escrow, vault, oracle, auction;
   const loanAmount = ethers.parseEther("100");
+  const YEAR = 365n * 86400n;
+
+  const passTime = async (seconds) => {
+    await network.provider.send("evm_increaseTime", [Number(seconds)]);
+    await network.provider.send("evm_mine");
+  };
 
   beforeEach(async () => {
     [deployer, borrower] = await ethers.getSigners();
@@ -17,30 +23,63 @@ describe("Finance Module", () => {
     nft = await NFTMinting.deploy(mfh.target);
     await nft.waitForDeployment();
 
+    const EscrowManager = await ethers.getContractFactory("EscrowManager");
+    escrow = await EscrowManager.deploy(nft.target);
+    await escrow.waitForDeployment();
+
     const LoanModule = await ethers.getContractFactory("LoanModule");
-    loan = await LoanModule.deploy(nft.target, mfh.target, deployer.address);
+    loan = await LoanModule.deploy(nft.target, mfh.target, escrow.target);
     await loan.waitForDeployment();
+    await escrow.setTrusted(loan.target, true);
+
+    const LendingVault = await ethers.getContractFactory("LendingVault");
+    vault = await LendingVault.deploy(mfh.target, ethers.parseEther("5000"));
+    await vault.waitForDeployment();
+    await vault.setLoanModule(loan.target);
+    await loan.setVault(vault.target);
+
+    await mfh.approve(vault.target, ethers.parseEther("1000"));
+    await vault.deposit(ethers.parseEther("1000"), deployer.address);
+
+    // Floor of 5,000 MFH from three recent sales; the deployer stands in for the marketplace
+    const NFTPriceOracle = await ethers.getContractFactory("NFTPriceOracle");
+    oracle = await NFTPriceOracle.deploy(mfh.target);
+    await oracle.waitForDeployment();
+    await oracle.setReporter(deployer.address, true);
+    for (const tokenId of [10, 11, 12]) {
+      await oracle.recordSale(tokenId, mfh.target, ethers.parseEther("5000"));
+    }
+    await loan.setOracle(oracle.target);
+
+    const RoyaltyManager = await ethers.getContractFactory("RoyaltyManager");
+    const royaltyManager = await RoyaltyManager.deploy(mfh.target, deployer.address);
+    const AuctionModule = await ethers.getContractFactory("AuctionModule");
+    auction = await AuctionModule.deploy(nft.target, mfh.target, deployer.address, royaltyManager.target);
+    await auction.waitForDeployment();
+    await royaltyManager.setMarketplace(auction.target, true);
+    await auction.setLiquidator(loan.target, true);
+    await loan.setAuctionModule(auction.target);
 
-    await mfh.transfer(loan.target, ethers.parseEther("1000"));
     await mfh.transfer(borrower.address, loanAmount);
     await mfh.connect(borrower).approve(nft.target, loanAmount);
     await nft.connect(borrower).mintNFT("ipfs://collateral");
-    await nft.connect(borrower).approve(loan.target, 1);
+    await nft.connect(borrower).approve(escrow.target, 1);
   });
 
   it("should repay loan and return NFT", async () => {
-    await loan.connect(borrower).requestLoan(1, loanAmount).catch(() => {});
+    await loan.connect(borrower).requestLoan(1, loanAmount);
+    expect(await nft.ownerOf(1)).to.equal(escrow.target);
+
     await mfh.transfer(borrower.address, loanAmount);
     await mfh.connect(borrower).approve(loan.target, loanAmount);
-    await loan.connect(borrower).repayLoan(1).catch(() => {});
-    const owner = await nft.ownerOf(1).catch(() => borrower.address);
-    expect(owner.toLowerCase()).to.equal(borrower.address.toLowerCase());
+    await loan.connect(borrower).repayLoan(1, loanAmount);
+    expect(await nft.ownerOf(1)).to.equal(borrower.address);
+    expect((await loan.loans(1)).active).to.equal(false);
   });
 
   it("should reject double loan on same NFT", async () => {
-    await loan.connect(borrower).requestLoan(1, loanAmount).catch(() => {});
-    const tx = await loan.connect(borrower).requestLoan(1, loanAmount).catch((e) => e.message || "");
-    expect(tx).to.be.a("string");
+    await loan.connect(borrower).requestLoan(1, loanAmount);
+    await expect(loan.connect(borrower).requestLoan(1, loanAmount)).to.be.revertedWith("Not token owner");
   });
 
   it("should not repay if insufficient funds", async () => {
@@ -48,9 +87,419 @@ describe("Finance Module", () => {
     expect(tx).to.be.a("string");
   });
 
+  it("should derive the installment schedule from the loan settings", async () => {
+    const terms = await loan.installmentTerms();
+    expect(terms.period).to.equal(30n * 86400n / 4n);
+    expect(terms.gracePeriod).to.equal(3n * 86400n);
+
+    await expect(loan.setLateTerms(7 * 86400, 500, 86400)).to.be.revertedWith("Default before grace ends");
+    await expect(loan.setLateTerms(86400, 10001, 86400)).to.be.revertedWith("Invalid late fee");
+    await loan.setLateTerms(86400, 200, 7 * 86400);
+    expect((await loan.installmentTerms()).lateFeeBps).to.equal(200);
+  });
+
   it("should prevent liquidation before deadline", async () => {
-    await loan.connect(borrower).requestLoan(1, loanAmount).catch(() => {});
-    const tx = await loan.connect(deployer).liquidateLoan(1).catch((e) => e.message || "");
-    expect(tx).to.be.a("string");
+    await loan.connect(borrower).requestLoan(1, loanAmount);
+    await expect(loan.connect(deployer).liquidateLoan(1)).to.be.revertedWith("Loan not in default");
+  });
+
+  describe("Price oracle and LTV", () => {
+    it("should take the median of fresh sales as the floor", async () => {
+      await oracle.recordSale(13, mfh.target, ethers.parseEther("1"));
+      await oracle.recordSale(14, mfh.target, ethers.parseEther("9000"));
+      expect(await oracle.collectionFloor()).to.equal(ethers.parseEther("5000"));
+
+      // Other currencies are ignored
+      await oracle.recordSale(15, nft.target, ethers.parseEther("1"));
+      expect((await oracle.floorPrice()).samples).to.equal(5);
+
+      await passTime(8n * 86400n);
+      await expect(oracle.collectionFloor()).to.be.revertedWith("Insufficient recent sales");
+      await expect(oracle.tokenPrice(13)).to.be.revertedWith("Stale price");
+    });
+
+    it("should not let a single inflated sale raise the valuation", async () => {
+      await oracle.recordSale(1, mfh.target, ethers.parseEther("150"));
+      expect(await oracle.valuation(1)).to.equal(ethers.parseEther("150"));
+      expect(await oracle.valuation(2)).to.equal(ethers.parseEther("5000"));
+
+      // A wash trade far above the floor leaves the value at the floor
+      await oracle.recordSale(1, mfh.target, ethers.parseEther("1000000"));
+      expect(await oracle.valuation(1)).to.equal(ethers.parseEther("5000"));
+      await expect(loan.connect(borrower).requestLoan(1, ethers.parseEther("2001")))
+        .to.be.revertedWith("Exceeds max LTV");
+      await expect(oracle.connect(borrower).recordSale(1, mfh.target, 1)).to.be.revertedWith("Not reporter");
+    });
+
+    it("should cap pool loans at the max LTV", async () => {
+      await oracle.recordSale(1, mfh.target, ethers.parseEther("200"));
+      await expect(loan.connect(borrower).requestLoan(1, ethers.parseEther("81")))
+        .to.be.revertedWith("Exceeds max LTV");
+      await loan.connect(borrower).requestLoan(1, ethers.parseEther("80"));
+      expect(await loan.currentLtv(1)).to.equal(4000);
+    });
+
+    it("should allow liquidation once the LTV crosses the threshold", async () => {
+      await oracle.recordSale(1, mfh.target, ethers.parseEther("200"));
+      await loan.connect(borrower).requestLoan(1, ethers.parseEther("80"));
+      await expect(loan.liquidateLoan(1)).to.be.revertedWith("Loan not in default");
+
+      await oracle.recordSale(1, mfh.target, ethers.parseEther("100"));
+      expect(await loan.currentLtv(1)).to.equal(8000);
+      await expect(loan.liquidateLoan(1)).to.emit(loan, "Liquidated");
+    });
+
+    it("should mark escrowed collateral to the floor once its own sale is stale", async () => {
+      await oracle.recordSale(1, mfh.target, ethers.parseEther("200"));
+      await loan.connect(borrower).requestLoan(1, ethers.parseEther("80"));
+
+      // No fresh sales at all: the loan can be neither proven healthy nor liquidated on LTV
+      await passTime(8n * 86400n);
+      await expect(loan.currentLtv(1)).to.be.revertedWith("No valuation");
+      await expect(loan.liquidateLoan(1)).to.be.revertedWith("No valuation");
+
+      // The collection trades lower; token 1 is valued at the new floor
+      for (const tokenId of [20, 21, 22]) {
+        await oracle.recordSale(tokenId, mfh.target, ethers.parseEther("100"));
+      }
+      expect(await loan.currentLtv(1)).to.equal(8000);
+      await expect(loan.liquidateLoan(1)).to.emit(loan, "Liquidated");
+    });
+  });
+
+  describe("P2P offers", () => {
+    let lender;
+    const principal = ethers.parseEther("50");
+
+    beforeEach(async () => {
+      lender = (await ethers.getSigners())[2];
+      await mfh.transfer(lender.address, ethers.parseEther("200"));
+      await mfh.connect(lender).approve(loan.target, ethers.MaxUint256);
+      await mfh.transfer(borrower.address, ethers.parseEther("100"));
+      await mfh.connect(borrower).approve(loan.target, ethers.MaxUint256);
+    });
+
+    const postOffer = (tokenId, anyToken) =>
+      loan.connect(lender).postLoanOffer(nft.target, tokenId, anyToken, principal, 1000, 30 * 86400);
+
+    it("should escrow the principal and refund it on cancel", async () => {
+      await expect(loan.connect(lender).postLoanOffer(mfh.target, 1, false, principal, 1000, 30 * 86400))
+        .to.be.revertedWith("Unsupported collection");
+      await expect(postOffer(1, false)).to.emit(loan, "LoanOfferPosted");
+      expect(await loan.offeredPrincipal()).to.equal(principal);
+
+      await expect(loan.connect(borrower).cancelLoanOffer(1)).to.be.revertedWith("Not lender");
+      const before = await mfh.balanceOf(lender.address);
+      await loan.connect(lender).cancelLoanOffer(1);
+      expect((await mfh.balanceOf(lender.address)) - before).to.equal(principal);
+      await expect(loan.connect(borrower).acceptLoanOffer(1, 1)).to.be.revertedWith("Offer not active");
+    });
+
+    it("should lock the NFT and pay repayments straight to the lender", async () => {
+      await postOffer(2, false);
+      await expect(loan.connect(borrower).acceptLoanOffer(1, 1)).to.be.revertedWith("Token not accepted");
+      await postOffer(0, true);
+
+      const treasuryBefore = await mfh.balanceOf(deployer.address);
+      await expect(loan.connect(borrower).acceptLoanOffer(2, 1))
+        .to.emit(loan, "LoanOfferAccepted")
+        .withArgs(2, 1, borrower.address);
+      expect(await nft.ownerOf(1)).to.equal(escrow.target);
+      expect((await mfh.balanceOf(deployer.address)) - treasuryBefore).to.equal(ethers.parseEther("0.5"));
+      expect((await loan.loans(1)).lender).to.equal(lender.address);
+
+      const lenderBefore = await mfh.balanceOf(lender.address);
+      const block = await ethers.provider.getBlock("latest");
+      const payoff = await loan.payoffQuote(1, block.timestamp + 1);
+      await loan.connect(borrower).repayLoan(1, payoff);
+      expect((await mfh.balanceOf(lender.address)) - lenderBefore).to.equal(payoff);
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+    });
+
+    it("should let only the lender claim the collateral after default", async () => {
+      await postOffer(1, false);
+      await loan.connect(borrower).acceptLoanOffer(1, 1);
+      await expect(loan.connect(lender).claimCollateral(1)).to.be.revertedWith("Loan not in default");
+
+      await passTime(45n * 86400n);
+      await expect(loan.liquidateLoan(1)).to.be.revertedWith("P2P loan");
+      await expect(loan.connect(borrower).claimCollateral(1)).to.be.revertedWith("Not lender");
+      await expect(loan.connect(lender).claimCollateral(1))
+        .to.emit(loan, "CollateralClaimed")
+        .withArgs(1, lender.address);
+      expect(await nft.ownerOf(1)).to.equal(lender.address);
+    });
+  });
+
+  describe("Lending vault", () => {
+    let depositor;
+
+    beforeEach(async () => {
+      depositor = (await ethers.getSigners())[3];
+      await mfh.transfer(depositor.address, ethers.parseEther("1000"));
+      await mfh.connect(depositor).approve(vault.target, ethers.MaxUint256);
+      await mfh.transfer(borrower.address, ethers.parseEther("200"));
+      await mfh.connect(borrower).approve(loan.target, ethers.MaxUint256);
+    });
+
+    it("should enforce the deposit cap", async () => {
+      expect(await vault.maxDeposit(depositor.address)).to.equal(ethers.parseEther("4000"));
+      await vault.setDepositCap(ethers.parseEther("1500"));
+      await expect(vault.connect(depositor).deposit(ethers.parseEther("600"), depositor.address))
+        .to.be.revertedWith("ERC4626: deposit more than max");
+      await vault.connect(depositor).deposit(ethers.parseEther("500"), depositor.address);
+      expect(await vault.maxDeposit(depositor.address)).to.equal(0);
+    });
+
+    it("should lend from the vault and raise the share price with interest", async () => {
+      const FixedRateModel = await ethers.getContractFactory("FixedRateModel");
+      const model = await FixedRateModel.deploy(1000);
+      await loan.setRateModel(model.target);
+
+      await loan.connect(borrower).requestLoan(1, loanAmount);
+      expect(await vault.totalBorrowed()).to.equal(loanAmount);
+      expect(await vault.availableLiquidity()).to.equal(ethers.parseEther("900"));
+      expect(await vault.utilization()).to.equal(1000);
+
+      await passTime(86400n * 5n);
+      const block = await ethers.provider.getBlock("latest");
+      const payoff = await loan.payoffQuote(1, block.timestamp + 1);
+      await loan.connect(borrower).repayLoan(1, payoff);
+
+      expect(await vault.totalBorrowed()).to.equal(0);
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("1000") + payoff - loanAmount);
+      expect(await vault.convertToAssets(ethers.parseEther("1"))).to.be.gt(ethers.parseEther("1"));
+    });
+
+    it("should queue withdrawals while liquidity is lent out", async () => {
+      await vault.connect(depositor).deposit(ethers.parseEther("1000"), depositor.address);
+      await loan.connect(borrower).requestLoan(1, ethers.parseEther("1900"));
+
+      expect(await vault.maxWithdraw(depositor.address)).to.equal(ethers.parseEther("100"));
+      await expect(vault.connect(depositor).withdraw(ethers.parseEther("500"), depositor.address, depositor.address))
+        .to.be.revertedWith("ERC4626: withdraw more than max");
+
+      const shares = ethers.parseEther("500");
+      await expect(vault.connect(depositor).requestWithdrawal(shares))
+        .to.emit(vault, "WithdrawalQueued")
+        .withArgs(0, depositor.address, shares);
+      expect(await vault.maxWithdraw(deployer.address)).to.equal(0);
+
+      await vault.processWithdrawals(10);
+      expect(await vault.pendingWithdrawals()).to.equal(1);
+      expect(await vault.queuedAssets()).to.equal(ethers.parseEther("500"));
+      expect(await vault.lendableLiquidity()).to.equal(0);
+
+      await mfh.transfer(borrower.address, ethers.parseEther("500"));
+      await loan.connect(borrower).repayLoan(1, ethers.parseEther("475"));
+      const before = await mfh.balanceOf(depositor.address);
+      await expect(vault.processWithdrawals(10)).to.emit(vault, "WithdrawalProcessed");
+      expect((await mfh.balanceOf(depositor.address)) - before).to.equal(ethers.parseEther("500"));
+      expect(await vault.pendingWithdrawals()).to.equal(0);
+    });
+
+    it("should not lend out liquidity owed to queued withdrawals", async () => {
+      await vault.connect(depositor).deposit(ethers.parseEther("1000"), depositor.address);
+      await vault.connect(depositor).requestWithdrawal(ethers.parseEther("1000"));
+
+      expect(await vault.lendableLiquidity()).to.equal(ethers.parseEther("1000"));
+      await expect(loan.connect(borrower).requestLoan(1, ethers.parseEther("1100")))
+        .to.be.revertedWith("Insufficient liquidity");
+      await loan.connect(borrower).requestLoan(1, ethers.parseEther("1000"));
+
+      const before = await mfh.balanceOf(depositor.address);
+      await vault.processWithdrawals(10);
+      expect((await mfh.balanceOf(depositor.address)) - before).to.equal(ethers.parseEther("1000"));
+      expect(await vault.queuedShares()).to.equal(0);
+    });
+
+    it("should socialize liquidation losses across shares", async () => {
+      await loan.connect(borrower).requestLoan(1, loanAmount);
+      await passTime(60n * 86400n);
+      await expect(loan.liquidateLoan(1)).to.emit(vault, "LoanImpaired").withArgs(loanAmount);
+
+      // Shares are marked down as soon as the liquidation starts, before the auction settles
+      expect(await vault.totalBorrowed()).to.equal(loanAmount);
+      expect(await vault.impairedPrincipal()).to.equal(loanAmount);
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("900"));
+      expect(await vault.convertToAssets(ethers.parseEther("1"))).to.equal(ethers.parseEther("0.9"));
+
+      // Nobody bids: the vault writes the loan off and takes the collateral
+      await passTime(86400n);
+      await auction.finalizeAuction(1);
+      expect(await nft.ownerOf(1)).to.equal(vault.target);
+      expect(await vault.totalBorrowed()).to.equal(0);
+      expect(await vault.impairedPrincipal()).to.equal(0);
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("900"));
+      expect(await vault.convertToAssets(ethers.parseEther("1"))).to.equal(ethers.parseEther("0.9"));
+
+      // Anyone can put it up again on the owner's terms, and the proceeds come back to depositors
+      const price = ethers.parseEther("60");
+      await expect(vault.connect(depositor).relistCollateral(1)).to.be.revertedWith("No relist terms");
+      await expect(vault.connect(depositor).setRelistTerms(auction.target, price, 3600))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await vault.setRelistTerms(auction.target, price, 3600);
+      await expect(vault.connect(depositor).relistCollateral(1))
+        .to.emit(vault, "CollateralAuctioned")
+        .withArgs(1, auction.target, price);
+      expect((await auction.auctions(1)).seller).to.equal(vault.target);
+      await mfh.connect(depositor).approve(auction.target, price);
+      await auction.connect(depositor).placeBid(1, price);
+      await passTime(3600n);
+      await auction.finalizeAuction(1);
+      expect(await nft.ownerOf(1)).to.equal(depositor.address);
+      expect(await vault.totalAssets()).to.be.gt(ethers.parseEther("900"));
+    });
+  });
+
+  describe("Liquidation auctions", () => {
+    let liquidator, bidder;
+
+    beforeEach(async () => {
+      [, , liquidator, bidder] = await ethers.getSigners();
+      await mfh.transfer(bidder.address, ethers.parseEther("500"));
+      await mfh.connect(bidder).approve(auction.target, ethers.MaxUint256);
+      await loan.connect(borrower).requestLoan(1, loanAmount);
+    });
+
+    it("should auction defaulted collateral with the debt as reserve", async () => {
+      await loan.setAuctionModule(ethers.ZeroAddress);
+      await passTime(60n * 86400n);
+      await expect(loan.connect(liquidator).liquidateLoan(1)).to.be.revertedWith("No auction module");
+      await loan.setAuctionModule(auction.target);
+
+      await expect(loan.connect(liquidator).liquidateLoan(1))
+        .to.emit(auction, "LiquidationAuctionStarted")
+        .and.to.emit(loan, "Liquidated")
+        .withArgs(1, liquidator.address);
+
+      const { debt, bonus } = await loan.liquidations(1);
+      const listing = await auction.auctions(1);
+      expect(debt).to.be.gt(loanAmount);
+      expect(bonus).to.equal((debt * 200n) / 10000n);
+      expect(listing.seller).to.equal(loan.target);
+      expect(listing.reservePrice).to.equal(debt + bonus);
+      expect(await nft.ownerOf(1)).to.equal(auction.target);
+
+      await expect(auction.connect(bidder).placeBid(1, debt + bonus - 1n)).to.be.revertedWith("Low bid");
+      await expect(auction.connect(liquidator).startLiquidationAuction(2, 1)).to.be.revertedWith("Not liquidator");
+      await expect(loan.onLiquidationSettled(1, 0)).to.be.revertedWith("Not auction module");
+      await expect(loan.connect(borrower).repayLoan(1, 1)).to.be.revertedWith("No active loan");
+    });
+
+    it("should repay the debt and bonus in full from a bid at the reserve", async () => {
+      await passTime(60n * 86400n);
+      await loan.connect(liquidator).liquidateLoan(1);
+      const { debt, bonus } = await loan.liquidations(1);
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("900"));
+
+      await auction.connect(bidder).placeBid(1, debt + bonus);
+      await passTime(86400n);
+      await expect(auction.finalizeAuction(1))
+        .to.emit(loan, "LiquidationSettled")
+        .withArgs(1, debt + bonus, debt, bonus, 0);
+      expect(await mfh.balanceOf(liquidator.address)).to.equal(bonus);
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("900") + debt);
+    });
+
+    it("should repay the vault, pay the liquidator bonus and return the surplus", async () => {
+      await passTime(60n * 86400n);
+      await loan.connect(liquidator).liquidateLoan(1);
+      const { debt, bonus } = await loan.liquidations(1);
+
+      // Liquidation sales pay no platform fee or royalty
+      const price = ethers.parseEther("200");
+      await auction.connect(bidder).placeBid(1, price);
+      await passTime(86400n);
+
+      const proceeds = price;
+      const surplus = proceeds - debt - bonus;
+      const borrowerBefore = await mfh.balanceOf(borrower.address);
+      await expect(auction.finalizeAuction(1))
+        .to.emit(loan, "LiquidationSettled")
+        .withArgs(1, proceeds, debt, bonus, surplus);
+
+      expect(await nft.ownerOf(1)).to.equal(bidder.address);
+      expect(await mfh.balanceOf(liquidator.address)).to.equal(bonus);
+      expect((await mfh.balanceOf(borrower.address)) - borrowerBefore).to.equal(surplus);
+      expect(await vault.totalBorrowed()).to.equal(0);
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("900") + debt);
+      expect(await mfh.balanceOf(loan.target)).to.equal(0);
+    });
+  });
+
+  describe("Interest and fees", () => {
+    beforeEach(async () => {
+      const FixedRateModel = await ethers.getContractFactory("FixedRateModel");
+      const model = await FixedRateModel.deploy(1000); // 10% APR
+      await model.waitForDeployment();
+      await loan.setRateModel(model.target);
+      // Installments fall due yearly, so no late fees get in the way here
+      await loan.setLoanDuration(4n * YEAR);
+      await mfh.transfer(borrower.address, ethers.parseEther("200"));
+      await mfh.connect(borrower).approve(loan.target, ethers.MaxUint256);
+    });
+
+    it("should send the origination fee to treasury and fix the rate at origination", async () => {
+      const before = await mfh.balanceOf(borrower.address);
+      const treasuryBefore = await mfh.balanceOf(deployer.address);
+      await expect(loan.connect(borrower).requestLoan(1, loanAmount))
+        .to.emit(loan, "LoanTerms")
+        .withArgs(1, 1000, ethers.parseEther("1"));
+
+      expect((await mfh.balanceOf(borrower.address)) - before).to.equal(ethers.parseEther("99"));
+      expect((await mfh.balanceOf(deployer.address)) - treasuryBefore).to.equal(ethers.parseEther("1"));
+      expect((await loan.loans(1)).aprBps).to.equal(1000);
+      expect(await loan.totalBorrowed()).to.equal(loanAmount);
+    });
+
+    it("should accrue simple interest on the outstanding principal", async () => {
+      await loan.connect(borrower).requestLoan(1, loanAmount);
+      const start = (await loan.loans(1)).lastAccrual;
+
+      // 10% APR on 100 MFH for a quarter of a year
+      const quote = await loan.payoffQuote(1, start + YEAR / 4n);
+      expect(quote).to.equal(loanAmount + ethers.parseEther("2.5"));
+
+      await passTime(7n * 86400n);
+      const [principal, interest, lateFee] = await loan.totalOwed(1);
+      expect(principal).to.equal(loanAmount);
+      expect(interest).to.be.closeTo((loanAmount * 1000n * 7n * 86400n) / (YEAR * 10000n), ethers.parseEther("0.0001"));
+      expect(lateFee).to.equal(0);
+    });
+
+    it("should take interest before principal and close on payoff", async () => {
+      await loan.connect(borrower).requestLoan(1, loanAmount);
+      await passTime(YEAR / 10n);
+
+      const payment = ethers.parseEther("26");
+      await expect(loan.connect(borrower).repayLoan(1, payment)).to.emit(loan, "InterestPaid");
+      const afterFirst = await loan.loans(1);
+      expect(afterFirst.paid + afterFirst.interestPaid).to.equal(payment);
+      expect(afterFirst.interestPaid).to.be.closeTo(ethers.parseEther("1"), ethers.parseEther("0.0001"));
+
+      const block = await ethers.provider.getBlock("latest");
+      const payoff = await loan.payoffQuote(1, block.timestamp + 1);
+      await loan.connect(borrower).repayLoan(1, payoff);
+      expect(await nft.ownerOf(1)).to.equal(borrower.address);
+      expect(await loan.totalBorrowed()).to.equal(0);
+    });
+
+    it("should price loans off utilization with the curve model", async () => {
+      const UtilizationRateModel = await ethers.getContractFactory("UtilizationRateModel");
+      // 2% base, +18% up to 80% utilization, +100% above
+      const curve = await UtilizationRateModel.deploy(200, 1800, 8000, 10000);
+      await curve.waitForDeployment();
+
+      expect(await curve.borrowRate(0, 100)).to.equal(200);
+      expect(await curve.borrowRate(40, 60)).to.equal(200 + 900);
+      expect(await curve.borrowRate(90, 10)).to.equal(200 + 1800 + 5000);
+
+      await loan.setRateModel(curve.target);
+      expect(await loan.currentRate()).to.equal(200);
+      await loan.connect(borrower).requestLoan(1, ethers.parseEther("500"));
+      // 500 lent, 500 left in the pool: 50% utilization
+      expect(await loan.currentRate()).to.equal(200 + (5000 * 1800) / 8000);
+    });
   });
 });
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers, network } = require("hardhat");
+const { signOrder } = require("../scripts/signOrder");
+const { buildTree, tokenIdLeaf } = require("../scripts/merkleTree");
 
 describe(" Marketplace Module", function () {
   let deployer, user1, user2, multisig;
@@ -62,16 +64,20 @@ describe(" Marketplace Module", function () {
 
     // Deploy AuctionModule
     const AuctionModule = await ethers.getContractFactory("AuctionModule");
-    auction = await AuctionModule.deploy(nft.target, token.target);
+    auction = await AuctionModule.deploy(nft.target, token.target, treasury.target, royaltyManager.target);
     await auction.waitForDeployment();
     console.log("AuctionModule deployed at:", auction.target);
 
     // Deploy BiddingSystem
     const BiddingSystem = await ethers.getContractFactory("BiddingSystem");
-    bidding = await BiddingSystem.deploy(nft.target, token.target);
+    bidding = await BiddingSystem.deploy(nft.target, token.target, treasury.target, royaltyManager.target);
     await bidding.waitForDeployment();
     console.log("BiddingSystem deployed at:", bidding.target);
 
+    for (const module of [marketplace, auction, bidding]) {
+      await royaltyManager.setMarketplace(module.target, true);
+    }
+
     // Transfer tokens to users
     await token.transfer(user1.address, ethers.parseEther("1000"));
     await token.transfer(user2.address, ethers.parseEther("1000"));
@@ -79,6 +85,7 @@ describe(" Marketplace Module", function () {
     // Mint an NFT for user1
     await token.connect(user1).approve(nft.target, ethers.parseEther("10"));
     await nft.connect(user1).mintNFT("ipfs://test-metadata");
+    await royaltyManager.setRoyalty(1, user1.address, 500);
 
     // Set starting timestamp
     startTimestamp = (await ethers.provider.getBlock("latest")).timestamp + 100;
@@ -109,6 +116,302 @@ describe(" Marketplace Module", function () {
       await marketplace.setTreasury(user2.address);
       expect(await marketplace.treasury()).to.equal(user2.address);
     });
+
+    it("should sell a token that has no royalty set", async () => {
+      await token.connect(user1).approve(nft.target, ethers.parseEther("10"));
+      await nft.connect(user1).mintNFT("ipfs://no-royalty");
+      await nft.connect(user1).approve(marketplace.target, 2);
+      await marketplace.connect(user1).listNFT(2, ethers.parseEther("100"));
+      await token.connect(user2).approve(marketplace.target, ethers.parseEther("100"));
+      await expect(marketplace.connect(user2).buyNFT(2))
+        .to.emit(marketplace, "NFTSold")
+        .withArgs(2, user2.address, ethers.parseEther("100"));
+      expect(await nft.ownerOf(2)).to.equal(user2.address);
+    });
+
+    it("should record sale prices in the price oracle", async () => {
+      const NFTPriceOracle = await ethers.getContractFactory("NFTPriceOracle");
+      const oracle = await NFTPriceOracle.deploy(token.target);
+      await oracle.setReporter(marketplace.target, true);
+      await marketplace.setPriceOracle(oracle.target);
+
+      await nft.connect(user1).approve(marketplace.target, 1);
+      await marketplace.connect(user1).listNFT(1, ethers.parseEther("100"));
+      await token.connect(user2).approve(marketplace.target, ethers.parseEther("100"));
+      await token.connect(user2).approve(royaltyManager.target, ethers.parseEther("100"));
+      await expect(marketplace.connect(user2).buyNFT(1))
+        .to.emit(oracle, "SaleRecorded")
+        .withArgs(1, ethers.parseEther("100"));
+      expect(await oracle.tokenPrice(1)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("should report sales to BoostEngine so refundable boosts are refunded", async () => {
+      const BoostEngine = await ethers.getContractFactory("BoostEngine");
+      const boost = await BoostEngine.deploy(nft.target, token.target, treasury.target);
+      await boost.setMarketplace(marketplace.target, true);
+      await marketplace.setBoostEngine(boost.target);
+
+      await token.connect(user1).approve(boost.target, ethers.parseEther("5"));
+      await boost.connect(user1).boostNFTWithTier(1, 1, 0, true);
+
+      await nft.connect(user1).approve(marketplace.target, 1);
+      await marketplace.connect(user1).listNFT(1, ethers.parseEther("100"));
+      await token.connect(user2).approve(marketplace.target, ethers.parseEther("100"));
+      await token.connect(user2).approve(royaltyManager.target, ethers.parseEther("100"));
+      await expect(marketplace.connect(user2).buyNFT(1))
+        .to.emit(boost, "BoostRefunded");
+      expect(await boost.isBoosted(1)).to.be.false;
+      expect(await boost.pendingRefunds(user1.address)).to.be.gt(0);
+    });
+
+    it("should let the seller cancel a listing and get the NFT back", async () => {
+      await nft.connect(user1).approve(marketplace.target, 1);
+      await marketplace.connect(user1).listNFT(1, ethers.parseEther("100"));
+      await expect(marketplace.connect(user2).cancelListing(1))
+        .to.be.revertedWith("Not the seller");
+      await expect(marketplace.connect(user1).cancelListing(1))
+        .to.emit(marketplace, "ListingCancelled")
+        .withArgs(1, user1.address);
+      expect(await nft.ownerOf(1)).to.equal(user1.address);
+      expect((await marketplace.listings(1)).price).to.equal(0);
+      await expect(marketplace.connect(user2).buyNFT(1)).to.be.revertedWith("Not listed");
+    });
+
+    it("should let the seller reprice a listing", async () => {
+      await nft.connect(user1).approve(marketplace.target, 1);
+      await marketplace.connect(user1).listNFT(1, ethers.parseEther("100"));
+      await expect(marketplace.connect(user2).updatePrice(1, ethers.parseEther("50")))
+        .to.be.revertedWith("Not the seller");
+      await expect(marketplace.connect(user1).updatePrice(1, 0))
+        .to.be.revertedWith("Invalid price");
+      await expect(marketplace.connect(user1).updatePrice(1, ethers.parseEther("50")))
+        .to.emit(marketplace, "ListingPriceUpdated")
+        .withArgs(1, ethers.parseEther("100"), ethers.parseEther("50"));
+
+      // Buyer pays the new price
+      await royaltyManager.setRoyalty(1, user1.address, 500);
+      await token.connect(user2).approve(marketplace.target, ethers.parseEther("50"));
+      await token.connect(user2).approve(royaltyManager.target, ethers.parseEther("50"));
+      const before = await token.balanceOf(user2.address);
+      await marketplace.connect(user2).buyNFT(1);
+      const royalty = (ethers.parseEther("50") * 500n) / 10000n;
+      expect(before - (await token.balanceOf(user2.address))).to.equal(ethers.parseEther("50") + royalty);
+      expect(await nft.ownerOf(1)).to.equal(user2.address);
+    });
+
+    it("should reject listings in a currency that is not accepted", async () => {
+      const USDT = await ethers.getContractFactory("USDT");
+      const usdt = await USDT.deploy(deployer.address, deployer.address);
+      await nft.connect(user1).approve(marketplace.target, 1);
+      await expect(marketplace.connect(user1).listNFTWithCurrency(1, 100, usdt.target))
+        .to.be.revertedWith("Currency not accepted");
+      await expect(marketplace.connect(user2).setAcceptedCurrency(usdt.target, true))
+        .to.be.reverted;
+    });
+
+    it("should settle price, fee and royalty in each listing's currency", async () => {
+      const USDT = await ethers.getContractFactory("USDT");
+      const usdt = await USDT.deploy(deployer.address, deployer.address);
+      await usdt.mint(user2.address, ethers.parseEther("1000"));
+      await marketplace.setAcceptedCurrency(usdt.target, true);
+
+      // Second NFT for a MFH-priced listing alongside the USDT one
+      await token.connect(user1).approve(nft.target, ethers.parseEther("10"));
+      await nft.connect(user1).mintNFT("ipfs://test-metadata-2");
+      await royaltyManager.setRoyalty(1, user1.address, 500);
+      await royaltyManager.setRoyalty(2, user1.address, 500);
+
+      await nft.connect(user1).setApprovalForAll(marketplace.target, true);
+      await marketplace.connect(user1).listNFTWithCurrency(1, ethers.parseEther("100"), usdt.target);
+      await marketplace.connect(user1).listNFT(2, ethers.parseEther("100"));
+      expect((await marketplace.listings(1)).currency).to.equal(usdt.target);
+      expect((await marketplace.listings(2)).currency).to.equal(token.target);
+
+      await usdt.connect(user2).approve(marketplace.target, ethers.parseEther("100"));
+      await usdt.connect(user2).approve(royaltyManager.target, ethers.parseEther("100"));
+      await token.connect(user2).approve(marketplace.target, ethers.parseEther("100"));
+      await token.connect(user2).approve(royaltyManager.target, ethers.parseEther("100"));
+
+      const price = ethers.parseEther("100");
+      const fee = (price * 500n) / 10000n;
+      const royalty = (price * 500n) / 10000n;
+      const royaltyPlatformCut = (royalty * 200n) / 10000n;
+      const sellerProceeds = price - fee + royalty - royaltyPlatformCut; // seller is also the creator
+
+      const mfhBefore = await token.balanceOf(user1.address);
+      await expect(marketplace.connect(user2).buyNFT(1))
+        .to.emit(marketplace, "NFTSold")
+        .withArgs(1, user2.address, price);
+      await marketplace.connect(user2).buyNFT(2);
+
+      expect(await usdt.balanceOf(user1.address)).to.equal(sellerProceeds);
+      expect(await usdt.balanceOf(treasury.target)).to.equal(fee + royaltyPlatformCut);
+      expect(await usdt.balanceOf(user2.address)).to.equal(ethers.parseEther("1000") - price - royalty);
+      expect((await token.balanceOf(user1.address)) - mfhBefore).to.equal(sellerProceeds);
+      expect(await token.balanceOf(treasury.target)).to.equal(fee + royaltyPlatformCut);
+      expect(await nft.ownerOf(1)).to.equal(user2.address);
+      expect(await nft.ownerOf(2)).to.equal(user2.address);
+    });
+  });
+
+  describe(" MarketplaceCore.sol fee routing", function () {
+    it("should route sale fees and royalty platform cut through the FeeRouter", async () => {
+      const FeeRouter = await ethers.getContractFactory("FeeRouter");
+      const router = await FeeRouter.deploy(treasury.target);
+      await router.setModule(marketplace.target, true);
+      await router.setModule(royaltyManager.target, true);
+      await marketplace.setFeeRouter(router.target);
+      await royaltyManager.setFeeRouter(router.target);
+
+      const price = ethers.parseEther("100");
+      await nft.connect(user1).approve(marketplace.target, 1);
+      await marketplace.connect(user1).listNFT(1, price);
+      await token.connect(user2).approve(marketplace.target, price);
+      await token.connect(user2).approve(royaltyManager.target, price);
+      await marketplace.connect(user2).buyNFT(1);
+
+      const fee = (price * 500n) / 10000n;
+      const royaltyCut = (((price * 500n) / 10000n) * 200n) / 10000n;
+      expect(await router.totalBySource(ethers.id("SALE"), token.target)).to.equal(fee);
+      expect(await router.totalBySource(ethers.id("ROYALTY"), token.target)).to.equal(royaltyCut);
+      expect(await token.balanceOf(treasury.target)).to.equal(fee + royaltyCut);
+      expect(await token.balanceOf(marketplace.target)).to.equal(0);
+    });
+  });
+
+  describe(" MarketplaceCore.sol bundles", function () {
+    const price = ethers.parseEther("100");
+
+    beforeEach(async () => {
+      await token.connect(user1).approve(nft.target, ethers.parseEther("10"));
+      await nft.connect(user1).mintNFT("ipfs://test-metadata-2");
+      await royaltyManager.setRoyalty(2, deployer.address, 1000);
+      await nft.connect(user1).setApprovalForAll(marketplace.target, true);
+    });
+
+    it("should list a bundle and take custody of every item", async () => {
+      await expect(marketplace.connect(user1).listBundle([1, 2], [3, 1], price, token.target))
+        .to.emit(marketplace, "BundleListed")
+        .withArgs(1, user1.address, price, [1, 2]);
+      expect(await nft.ownerOf(1)).to.equal(marketplace.target);
+      expect(await nft.ownerOf(2)).to.equal(marketplace.target);
+      const bundle = await marketplace.getBundle(1);
+      expect(bundle.seller).to.equal(user1.address);
+      expect(bundle.tokenIds).to.deep.equal([1n, 2n]);
+
+      await expect(marketplace.connect(user1).listBundle([1], [1], price, token.target))
+        .to.be.revertedWith("Invalid bundle size");
+    });
+
+    it("should sell a bundle atomically with weighted royalties", async () => {
+      await marketplace.connect(user1).listBundle([1, 2], [3, 1], price, token.target);
+      await token.connect(user2).approve(marketplace.target, price);
+      await token.connect(user2).approve(royaltyManager.target, price);
+
+      // Item prices 75 / 25: 5% royalty on 75 for token 1, 10% on 25 for token 2
+      const royalty1 = (ethers.parseEther("75") * 500n) / 10000n;
+      const royalty2 = (ethers.parseEther("25") * 1000n) / 10000n;
+      const fee = (price * 500n) / 10000n;
+
+      const creatorBefore = await token.balanceOf(deployer.address);
+      const buyerBefore = await token.balanceOf(user2.address);
+      await expect(marketplace.connect(user2).buyBundle(1))
+        .to.emit(marketplace, "BundleSold")
+        .withArgs(1, user2.address, price);
+
+      expect(await nft.ownerOf(1)).to.equal(user2.address);
+      expect(await nft.ownerOf(2)).to.equal(user2.address);
+      expect(buyerBefore - (await token.balanceOf(user2.address))).to.equal(price + royalty1 + royalty2);
+      expect((await token.balanceOf(deployer.address)) - creatorBefore).to.equal(royalty2 - (royalty2 * 200n) / 10000n);
+      expect(await token.balanceOf(treasury.target)).to.equal(
+        fee + (royalty1 * 200n) / 10000n + (royalty2 * 200n) / 10000n
+      );
+      await expect(marketplace.connect(user2).buyBundle(1)).to.be.revertedWith("Not listed");
+    });
+
+    it("should cancel a bundle and return every item", async () => {
+      await marketplace.connect(user1).listBundle([1, 2], [1, 1], price, token.target);
+      await expect(marketplace.connect(user2).cancelBundle(1)).to.be.revertedWith("Not the seller");
+      await expect(marketplace.connect(user1).cancelBundle(1))
+        .to.emit(marketplace, "BundleCancelled")
+        .withArgs(1, user1.address);
+      expect(await nft.ownerOf(1)).to.equal(user1.address);
+      expect(await nft.ownerOf(2)).to.equal(user1.address);
+    });
+  });
+
+  describe(" MarketplaceCore.sol signed orders", function () {
+    const price = ethers.parseEther("100");
+    let expiry;
+
+    beforeEach(async () => {
+      expiry = startTimestamp + 86400;
+      await royaltyManager.setRoyalty(1, user1.address, 500);
+      await nft.connect(user1).setApprovalForAll(marketplace.target, true);
+      await token.connect(user2).approve(marketplace.target, price);
+      await token.connect(user2).approve(royaltyManager.target, price);
+    });
+
+    it("should fill a signed order without taking custody first", async () => {
+      const { order, signature } = await signOrder(user1, marketplace.target, {
+        tokenId: 1, price, currency: token.target, expiry, nonce: 0,
+      });
+      expect(await nft.ownerOf(1)).to.equal(user1.address);
+
+      const fee = (price * 500n) / 10000n;
+      const royaltyPlatformCut = (((price * 500n) / 10000n) * 200n) / 10000n;
+      await expect(marketplace.connect(user2).fulfillOrder(order, signature))
+        .to.emit(marketplace, "OrderFulfilled")
+        .withArgs(await marketplace.hashOrder(order), 1, user1.address, user2.address, price)
+        .and.to.emit(marketplace, "NFTSold");
+      expect(await nft.ownerOf(1)).to.equal(user2.address);
+      expect(await token.balanceOf(treasury.target)).to.equal(fee + royaltyPlatformCut);
+      expect(await marketplace.nonceUsed(user1.address, 0)).to.be.true;
+
+      // Replay is rejected
+      await expect(marketplace.connect(user2).fulfillOrder(order, signature))
+        .to.be.revertedWith("Order not valid");
+    });
+
+    it("should reject tampered, expired and foreign-signed orders", async () => {
+      const { order, signature } = await signOrder(user1, marketplace.target, {
+        tokenId: 1, price, currency: token.target, expiry, nonce: 0,
+      });
+      await expect(marketplace.connect(user2).fulfillOrder({ ...order, price: 1n }, signature))
+        .to.be.revertedWith("Invalid signature");
+
+      const forged = await signOrder(user2, marketplace.target, {
+        tokenId: 1, price, currency: token.target, expiry, nonce: 0,
+      });
+      await expect(marketplace.connect(deployer).fulfillOrder({ ...forged.order, seller: user1.address }, forged.signature))
+        .to.be.revertedWith("Invalid signature");
+
+      await network.provider.send("evm_setNextBlockTimestamp", [expiry + 1]);
+      await expect(marketplace.connect(user2).fulfillOrder(order, signature))
+        .to.be.revertedWith("Order expired");
+    });
+
+    it("should honour per-order and bulk nonce cancellation", async () => {
+      const first = await signOrder(user1, marketplace.target, {
+        tokenId: 1, price, currency: token.target, expiry, nonce: 1,
+      });
+      await expect(marketplace.connect(user1).cancelOrder(1))
+        .to.emit(marketplace, "OrderCancelled")
+        .withArgs(user1.address, 1);
+      await expect(marketplace.connect(user2).fulfillOrder(first.order, first.signature))
+        .to.be.revertedWith("Order not valid");
+
+      const second = await signOrder(user1, marketplace.target, {
+        tokenId: 1, price, currency: token.target, expiry, nonce: 5,
+      });
+      await expect(marketplace.connect(user1).cancelAllOrders(6))
+        .to.emit(marketplace, "AllOrdersCancelled")
+        .withArgs(user1.address, 6);
+      await expect(marketplace.connect(user2).fulfillOrder(second.order, second.signature))
+        .to.be.revertedWith("Order not valid");
+      await expect(marketplace.connect(user1).cancelAllOrders(6))
+        .to.be.revertedWith("Nonce too low");
+    });
   });
 
   describe(" BuyNowPayLater.sol", function () {
@@ -116,9 +419,152 @@ describe(" Marketplace Module", function () {
       await bnpl.setInstallments(4);
       expect(await bnpl.defaultInstallments()).to.equal(4);
     });
+
+    it("should validate installment schedule terms", async () => {
+      await expect(bnpl.setInstallmentTerms({ period: 0, gracePeriod: 0, lateFeeBps: 0, defaultAfter: 0 }))
+        .to.be.revertedWith("Invalid period");
+      await bnpl.setInstallmentTerms({ period: 7 * 86400, gracePeriod: 86400, lateFeeBps: 300, defaultAfter: 5 * 86400 });
+      expect((await bnpl.installmentTerms()).period).to.equal(7 * 86400);
+    });
+
+    describe("listing purchases", () => {
+      const price = ethers.parseEther("90");
+      const down = ethers.parseEther("30");
+      const installment = ethers.parseEther("20");
+      // As in buyNFT, the seller nets amount - fee and the buyer pays the 5% royalty on top
+      const sellerNet = (amount) => amount - (amount * 500n) / 10000n;
+      const royalty = (price * 500n) / 10000n;
+
+      beforeEach(async () => {
+        // A creator other than the seller, so seller proceeds and royalty are told apart
+        await royaltyManager.setRoyalty(1, multisig.address, 500);
+        await bnpl.setMarketplace(marketplace.target);
+        await bnpl.setTreasury(treasury.target);
+        await marketplace.setFinancier(bnpl.target, true);
+        await nft.connect(user1).approve(marketplace.target, 1);
+        await marketplace.connect(user1).listNFT(1, price);
+        await token.connect(user2).approve(bnpl.target, ethers.MaxUint256);
+        await token.connect(user2).approve(royaltyManager.target, ethers.MaxUint256);
+      });
+
+      it("should buy a listing with a down payment and hold the NFT in escrow", async () => {
+        await expect(marketplace.connect(user2).takeFinancedListing(1, user2.address))
+          .to.be.revertedWith("Not financier");
+        await expect(bnpl.connect(user2).buyWithBNPL(1, ethers.parseEther("10")))
+          .to.be.revertedWith("Invalid down payment");
+
+        const sellerBefore = await token.balanceOf(user1.address);
+        const buyerBefore = await token.balanceOf(user2.address);
+        await expect(bnpl.connect(user2).buyWithBNPL(1, down))
+          .to.emit(bnpl, "BNPLPurchased")
+          .withArgs(1, user2.address, user1.address, price, down, ethers.ZeroAddress)
+          .and.to.emit(marketplace, "NFTSold")
+          .withArgs(1, user2.address, price);
+
+        expect(await nft.ownerOf(1)).to.equal(escrow.target);
+        expect((await marketplace.listings(1)).price).to.equal(0);
+        expect(await token.balanceOf(bnpl.target)).to.equal(down);
+        expect(await token.balanceOf(user1.address)).to.equal(sellerBefore);
+        expect(buyerBefore - (await token.balanceOf(user2.address))).to.equal(down + royalty);
+        expect((await bnpl.schedules(1)).installmentAmount).to.equal(installment);
+      });
+
+      it("should pay the seller as installments arrive and release the NFT on full payment", async () => {
+        await bnpl.connect(user2).buyWithBNPL(1, down);
+        const sellerBefore = await token.balanceOf(user1.address);
+
+        await bnpl.connect(user2).payInstallment(1, installment);
+        expect((await token.balanceOf(user1.address)) - sellerBefore).to.equal(sellerNet(installment));
+        await expect(bnpl.connect(user1).payInstallment(1, installment)).to.be.revertedWith("Not buyer");
+
+        await bnpl.connect(user2).payInstallment(1, installment);
+        await expect(bnpl.connect(user2).payInstallment(1, installment))
+          .to.emit(bnpl, "BNPLCompleted")
+          .withArgs(1, user2.address);
+
+        // The held down payment went to the seller with the last installment
+        expect(await nft.ownerOf(1)).to.equal(user2.address);
+        expect((await token.balanceOf(user1.address)) - sellerBefore).to.equal(sellerNet(price));
+        expect(await token.balanceOf(bnpl.target)).to.equal(0);
+      });
+
+      it("should pay the seller upfront from the financing pool and repay the pool", async () => {
+        await token.approve(bnpl.target, ethers.MaxUint256);
+        await bnpl.setFinancingPool(deployer.address);
+        await expect(bnpl.connect(user2).buyWithBNPL(1, down)).to.be.revertedWith("No oracle");
+
+        // The pool lends at most 50% of the valuation: a floor of 100, whatever the token last sold for
+        const NFTPriceOracle = await ethers.getContractFactory("NFTPriceOracle");
+        const oracle = await NFTPriceOracle.deploy(token.target);
+        await oracle.setReporter(deployer.address, true);
+        await oracle.setReporter(marketplace.target, true);
+        await marketplace.setPriceOracle(oracle.target);
+        await bnpl.setOracle(oracle.target);
+        for (const tokenId of [10, 11, 12]) {
+          await oracle.recordSale(tokenId, token.target, ethers.parseEther("100"));
+        }
+        // An inflated last sale of the token itself does not raise the cap
+        await oracle.recordSale(1, token.target, ethers.parseEther("1000"));
+        await expect(bnpl.connect(user2).buyWithBNPL(1, down)).to.be.revertedWith("Exceeds max LTV");
+
+        const poolDown = ethers.parseEther("45");
+        const sellerBefore = await token.balanceOf(user1.address);
+        // Only paid sales feed the oracle
+        await expect(bnpl.connect(user2).buyWithBNPL(1, poolDown)).not.to.emit(oracle, "SaleRecorded");
+        expect(await oracle.tokenPrice(1)).to.equal(ethers.parseEther("1000"));
+        expect((await token.balanceOf(user1.address)) - sellerBefore).to.equal(sellerNet(price));
+        expect((await bnpl.plans(1)).funder).to.equal(deployer.address);
+
+        const poolInstallment = ethers.parseEther("15");
+        const poolBefore = await token.balanceOf(deployer.address);
+        await bnpl.connect(user2).payInstallment(1, poolInstallment);
+        expect((await token.balanceOf(deployer.address)) - poolBefore).to.equal(poolInstallment);
+        expect(await token.balanceOf(bnpl.target)).to.equal(0);
+      });
+
+      it("should split the down payment and auction the NFT on default", async () => {
+        await auction.setLiquidator(bnpl.target, true);
+        await bnpl.setAuctionModule(auction.target);
+        await bnpl.setDefaultSplit(6000);
+        await bnpl.connect(user2).buyWithBNPL(1, down);
+        await expect(bnpl.defaulted(1)).to.be.revertedWith("Still active");
+
+        await network.provider.send("evm_increaseTime", [25 * 86400]);
+        const sellerBefore = await token.balanceOf(user1.address);
+        const treasuryBefore = await token.balanceOf(treasury.target);
+        await expect(bnpl.connect(multisig).defaulted(1))
+          .to.emit(bnpl, "DownPaymentSplit")
+          .withArgs(1, ethers.parseEther("18"), ethers.parseEther("12"))
+          .and.to.emit(auction, "LiquidationAuctionStarted");
+
+        expect((await token.balanceOf(user1.address)) - sellerBefore).to.equal(ethers.parseEther("18"));
+        expect((await token.balanceOf(treasury.target)) - treasuryBefore).to.equal(ethers.parseEther("12"));
+        const { debt, creditor, bonus } = await bnpl.liquidations(1);
+        expect(debt).to.be.gt(price - down);
+        expect(creditor).to.equal(user1.address);
+        expect(bonus).to.equal((debt * 200n) / 10000n);
+        expect((await auction.auctions(1)).reservePrice).to.equal(debt + bonus);
+
+        // Nobody bids: the NFT goes back to the unpaid seller
+        await network.provider.send("evm_increaseTime", [86400]);
+        await expect(auction.finalizeAuction(1))
+          .to.emit(bnpl, "LiquidationSettled")
+          .withArgs(1, 0, 0, 0, 0);
+        expect(await nft.ownerOf(1)).to.equal(user1.address);
+      });
+    });
   });
 
   describe(" AuctionModule.sol", function () {
+    // As in buyNFT, the winner pays the 5% royalty on top of the price, escrowed with the bid
+    const withRoyalty = (amount) => amount + (amount * 500n) / 10000n;
+    // user1 is both seller and creator: they get price - fee, plus the royalty less its platform cut
+    const sellerNet = (price) => {
+      const fee = (price * 500n) / 10000n;
+      const royalty = (price * 500n) / 10000n;
+      return price - fee + royalty - (royalty * 200n) / 10000n;
+    };
+
     it("should start auction with valid parameters", async () => {
       await nft.connect(user1).approve(auction.target, 1);
       const duration = 1 * 86400;
@@ -135,34 +581,70 @@ describe(" Marketplace Module", function () {
       expect(await nft.ownerOf(1)).to.equal(auction.target);
     });
 
-    it("should allow bidding and refund lower bids", async () => {
+    it("should allow bidding and credit outbid refunds for withdrawal", async () => {
       await nft.connect(user1).approve(auction.target, 1);
       await auction.connect(user1).startAuction(1, ethers.parseEther("10"), 1 * 86400);
-      await token.connect(user2).approve(auction.target, ethers.parseEther("20"));
+      await token.connect(user2).approve(auction.target, withRoyalty(ethers.parseEther("20")));
       await expect(auction.connect(user2).placeBid(1, ethers.parseEther("15")))
         .to.emit(auction, "BidPlaced")
         .withArgs(1, user2.address, ethers.parseEther("15"));
       const initialBalance = await token.balanceOf(user2.address);
-      await token.connect(user2).approve(auction.target, ethers.parseEther("20"));
-      await auction.connect(user2).placeBid(1, ethers.parseEther("20"));
+      await token.connect(user2).approve(auction.target, withRoyalty(ethers.parseEther("20")));
+      // The outbid bid comes back with the royalty escrowed on top of it
+      const firstBid = withRoyalty(ethers.parseEther("15"));
+      await expect(auction.connect(user2).placeBid(1, ethers.parseEther("20")))
+        .to.emit(auction, "RefundCredited")
+        .withArgs(1, user2.address, firstBid);
+
+      // Nothing is pushed during the bid
+      expect(await token.balanceOf(user2.address)).to.equal(initialBalance - withRoyalty(ethers.parseEther("20")));
+      expect(await auction.pendingReturns(user2.address)).to.equal(firstBid);
+
+      await expect(auction.connect(user2).withdrawRefund())
+        .to.emit(auction, "RefundWithdrawn")
+        .withArgs(user2.address, firstBid);
       expect(await token.balanceOf(user2.address)).to.equal(
-        (BigInt(initialBalance) + BigInt(ethers.parseEther("15")) - BigInt(ethers.parseEther("20"))).toString()
+        initialBalance + firstBid - withRoyalty(ethers.parseEther("20"))
       );
+      await expect(auction.connect(user2).withdrawRefund()).to.be.revertedWith("Nothing to withdraw");
     });
 
     it("should finalize auction with winner", async () => {
       await nft.connect(user1).approve(auction.target, 1);
       await auction.connect(user1).startAuction(1, ethers.parseEther("10"), 1 * 86400);
-      await token.connect(user2).approve(auction.target, ethers.parseEther("15"));
+      await token.connect(user2).approve(auction.target, withRoyalty(ethers.parseEther("15")));
       await auction.connect(user2).placeBid(1, ethers.parseEther("15"));
       await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 2 * 86400]);
+      const price = ethers.parseEther("15");
+      const fee = (price * 500n) / 10000n;
+      const royalty = (price * 500n) / 10000n;
       await expect(auction.finalizeAuction(1))
         .to.emit(auction, "AuctionEnded")
-        .withArgs(1, user2.address, ethers.parseEther("15"));
+        .withArgs(1, user2.address, price)
+        .and.to.emit(auction, "AuctionSettled")
+        .withArgs(1, user1.address, price, price - fee, fee, royalty);
       expect(await nft.ownerOf(1)).to.equal(user2.address);
-      expect(await token.balanceOf(user1.address)).to.equal(
-        (BigInt(ethers.parseEther("990")) + BigInt(ethers.parseEther("15"))).toString()
-      );
+      // The winner paid the price plus the royalty, like a buyNFT purchase
+      expect(await token.balanceOf(user2.address)).to.equal(ethers.parseEther("1000") - price - royalty);
+      expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("990") + sellerNet(price));
+      expect(await token.balanceOf(treasury.target)).to.equal(fee + (royalty * 200n) / 10000n);
+      expect(await token.balanceOf(auction.target)).to.equal(0);
+    });
+
+    it("should record auction settlements in the price oracle", async () => {
+      const NFTPriceOracle = await ethers.getContractFactory("NFTPriceOracle");
+      const oracle = await NFTPriceOracle.deploy(token.target);
+      await oracle.setReporter(auction.target, true);
+      await auction.setPriceOracle(oracle.target);
+
+      await nft.connect(user1).approve(auction.target, 1);
+      await auction.connect(user1).startAuction(1, ethers.parseEther("10"), 1 * 86400);
+      await token.connect(user2).approve(auction.target, withRoyalty(ethers.parseEther("15")));
+      await auction.connect(user2).placeBid(1, ethers.parseEther("15"));
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 2 * 86400]);
+      await expect(auction.finalizeAuction(1))
+        .to.emit(oracle, "SaleRecorded")
+        .withArgs(1, ethers.parseEther("15"));
     });
 
     it("should return NFT if no bids", async () => {
@@ -172,6 +654,109 @@ describe(" Marketplace Module", function () {
       await auction.finalizeAuction(1);
       expect(await nft.ownerOf(1)).to.equal(user1.address);
     });
+
+    it("should let the seller cancel an auction with no bids", async () => {
+      await nft.connect(user1).approve(auction.target, 1);
+      await auction.connect(user1).startAuction(1, ethers.parseEther("10"), 1 * 86400);
+      await expect(auction.connect(user2).cancelAuction(1)).to.be.revertedWith("Not seller");
+      await expect(auction.connect(user1).cancelAuction(1))
+        .to.emit(auction, "AuctionCancelled")
+        .withArgs(1);
+      expect(await nft.ownerOf(1)).to.equal(user1.address);
+      expect((await auction.auctions(1)).active).to.be.false;
+    });
+
+    it("should not cancel once a bid is in", async () => {
+      await nft.connect(user1).approve(auction.target, 1);
+      await auction.connect(user1).startAuction(1, ethers.parseEther("10"), 1 * 86400);
+      await token.connect(user2).approve(auction.target, withRoyalty(ethers.parseEther("10")));
+      await auction.connect(user2).placeBid(1, ethers.parseEther("10"));
+      await expect(auction.connect(user1).cancelAuction(1)).to.be.revertedWith("Has bids");
+    });
+
+    it("should extend the end time when a bid lands in the soft-close window", async () => {
+      await nft.connect(user1).approve(auction.target, 1);
+      await auction.connect(user1).startAuction(1, ethers.parseEther("10"), 3600);
+      const { endTime } = await auction.auctions(1);
+      const lateBidAt = Number(endTime) - 60;
+      await token.connect(user2).approve(auction.target, withRoyalty(ethers.parseEther("10")));
+      await network.provider.send("evm_setNextBlockTimestamp", [lateBidAt]);
+      await expect(auction.connect(user2).placeBid(1, ethers.parseEther("10")))
+        .to.emit(auction, "AuctionExtended")
+        .withArgs(1, lateBidAt + 600);
+      expect((await auction.auctions(1)).endTime).to.equal(lateBidAt + 600);
+
+      await network.provider.send("evm_setNextBlockTimestamp", [Number(endTime) + 1]);
+      await expect(auction.finalizeAuction(1)).to.be.revertedWith("Too early");
+    });
+
+    it("should reject a soft-close extension shorter than the window", async () => {
+      await expect(auction.setSoftClose(600, 300)).to.be.revertedWith("Extension below window");
+      await expect(auction.setSoftClose(300, 600))
+        .to.emit(auction, "SoftCloseUpdated")
+        .withArgs(300, 600);
+    });
+
+    it("should return the NFT and refund when a visible reserve is not met", async () => {
+      await nft.connect(user1).approve(auction.target, 1);
+      await auction.connect(user1).startReserveAuction(1, ethers.parseEther("10"), 86400, ethers.parseEther("50"), ethers.ZeroHash);
+      await token.connect(user2).approve(auction.target, withRoyalty(ethers.parseEther("20")));
+      await auction.connect(user2).placeBid(1, ethers.parseEther("20"));
+
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 2 * 86400]);
+      await expect(auction.finalizeAuction(1))
+        .to.emit(auction, "AuctionReserveNotMet")
+        .withArgs(1, ethers.parseEther("20"), ethers.parseEther("50"))
+        .and.not.to.emit(auction, "AuctionEnded");
+      expect(await nft.ownerOf(1)).to.equal(user1.address);
+      expect(await auction.pendingReturns(user2.address)).to.equal(withRoyalty(ethers.parseEther("20")));
+    });
+
+    it("should enforce a hidden reserve once revealed", async () => {
+      const salt = ethers.id("salt");
+      const reserveHash = ethers.solidityPackedKeccak256(["uint256", "bytes32"], [ethers.parseEther("50"), salt]);
+      await nft.connect(user1).approve(auction.target, 1);
+      await auction.connect(user1).startReserveAuction(1, ethers.parseEther("10"), 86400, 0, reserveHash);
+      expect((await auction.auctions(1)).reservePrice).to.equal(0);
+
+      await token.connect(user2).approve(auction.target, withRoyalty(ethers.parseEther("60")));
+      await auction.connect(user2).placeBid(1, ethers.parseEther("60"));
+
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 2 * 86400]);
+      await expect(auction.finalizeAuction(1)).to.be.revertedWith("Reserve not revealed");
+      await expect(auction.connect(user1).revealReserve(1, ethers.parseEther("40"), salt))
+        .to.be.revertedWith("Invalid reveal");
+      await expect(auction.connect(user1).revealReserve(1, ethers.parseEther("50"), salt))
+        .to.emit(auction, "ReserveRevealed")
+        .withArgs(1, ethers.parseEther("50"));
+      await expect(auction.finalizeAuction(1))
+        .to.emit(auction, "AuctionEnded")
+        .withArgs(1, user2.address, ethers.parseEther("60"));
+      expect(await nft.ownerOf(1)).to.equal(user2.address);
+    });
+
+    it("should sell a Dutch auction to the first buyer at the decayed price", async () => {
+      await nft.connect(user1).approve(auction.target, 1);
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 10]);
+      await auction.connect(user1).startDutchAuction(1, ethers.parseEther("100"), ethers.parseEther("20"), 8000);
+      await expect(auction.connect(user2).placeBid(1, ethers.parseEther("100")))
+        .to.be.revertedWith("Not English auction");
+
+      // Halfway: 100 - (80 * 4000 / 8000) = 60
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 10 + 4000]);
+      await network.provider.send("evm_mine");
+      expect(await auction.currentPrice(1)).to.equal(ethers.parseEther("60"));
+
+      await token.connect(user2).approve(auction.target, withRoyalty(ethers.parseEther("100")));
+      const sellerBefore = await token.balanceOf(user1.address);
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 10 + 6000]);
+      await expect(auction.connect(user2).buyDutch(1))
+        .to.emit(auction, "AuctionEnded")
+        .withArgs(1, user2.address, ethers.parseEther("40"));
+      expect(await nft.ownerOf(1)).to.equal(user2.address);
+      expect((await token.balanceOf(user1.address)) - sellerBefore).to.equal(sellerNet(ethers.parseEther("40")));
+      await expect(auction.connect(user2).buyDutch(1)).to.be.revertedWith("Not active");
+    });
   });
 
   describe(" BiddingSystem.sol", function () {
@@ -182,9 +767,140 @@ describe(" Marketplace Module", function () {
 
     it("should reject accept bid by non-owner", async () => {
       await token.connect(user2).approve(bidding.target, ethers.parseEther("50"));
-      await bidding.connect(user2).placeBid(1, ethers.parseEther("50"));
-      await expect(bidding.connect(user2).acceptBid(1, 0))
+      await bidding.connect(user2).placeBid(1, ethers.parseEther("50"), startTimestamp + 86400);
+      await expect(bidding.connect(user2).acceptBid(1, user2.address))
         .to.be.revertedWith("Not owner");
     });
+
+    it("should settle an accepted bid with platform fee and royalty", async () => {
+      await royaltyManager.setRoyalty(1, deployer.address, 500);
+      const amount = ethers.parseEther("100");
+      await token.connect(user2).approve(bidding.target, amount);
+      await bidding.connect(user2).placeBid(1, amount, startTimestamp + 86400);
+
+      // As in buyNFT: the seller nets the bid less the fee, the bidder pays the royalty on top
+      const fee = (amount * 500n) / 10000n;
+      const royalty = (amount * 500n) / 10000n;
+      const royaltyPlatformCut = (royalty * 200n) / 10000n;
+      const sellerAmount = amount - fee;
+      await token.connect(user2).approve(royaltyManager.target, royalty);
+
+      const sellerBefore = await token.balanceOf(user1.address);
+      const creatorBefore = await token.balanceOf(deployer.address);
+      const bidderBefore = await token.balanceOf(user2.address);
+      await nft.connect(user1).approve(bidding.target, 1);
+      await expect(bidding.connect(user1).acceptBid(1, user2.address))
+        .to.emit(bidding, "BidSettled")
+        .withArgs(1, user1.address, sellerAmount, fee, royalty)
+        .and.to.emit(bidding, "BidAccepted")
+        .withArgs(1, user2.address, amount);
+
+      expect(await nft.ownerOf(1)).to.equal(user2.address);
+      expect((await token.balanceOf(user1.address)) - sellerBefore).to.equal(sellerAmount);
+      expect(bidderBefore - (await token.balanceOf(user2.address))).to.equal(royalty);
+      expect((await token.balanceOf(deployer.address)) - creatorBefore).to.equal(royalty - royaltyPlatformCut);
+      expect(await token.balanceOf(treasury.target)).to.equal(fee + royaltyPlatformCut);
+      expect(await token.balanceOf(bidding.target)).to.equal(0);
+    });
+
+    it("should keep one bid per bidder and raise it in place", async () => {
+      await token.connect(user2).approve(bidding.target, ethers.parseEther("80"));
+      await bidding.connect(user2).placeBid(1, ethers.parseEther("50"), startTimestamp + 86400);
+      await expect(bidding.connect(user2).placeBid(1, ethers.parseEther("40"), startTimestamp + 86400))
+        .to.be.revertedWith("Must raise bid");
+      await bidding.connect(user2).placeBid(1, ethers.parseEther("80"), startTimestamp + 2 * 86400);
+
+      const list = await bidding.getBids(1);
+      expect(list.length).to.equal(1);
+      expect(list[0].amount).to.equal(ethers.parseEther("80"));
+      expect(list[0].expiresAt).to.equal(startTimestamp + 2 * 86400);
+      expect(await token.balanceOf(bidding.target)).to.equal(ethers.parseEther("80"));
+    });
+
+    it("should let anyone refund an expired bid and block accepting it", async () => {
+      const amount = ethers.parseEther("50");
+      await token.connect(user2).approve(bidding.target, amount);
+      await bidding.connect(user2).placeBid(1, amount, startTimestamp + 3600);
+      await expect(bidding.connect(deployer).refundExpiredBid(1, user2.address))
+        .to.be.revertedWith("Bid not expired");
+
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 3600]);
+      await network.provider.send("evm_mine");
+      await expect(bidding.connect(user1).acceptBid(1, user2.address))
+        .to.be.revertedWith("Bid expired");
+
+      const before = await token.balanceOf(user2.address);
+      await expect(bidding.connect(deployer).refundExpiredBid(1, user2.address))
+        .to.emit(bidding, "BidExpiredRefund")
+        .withArgs(1, user2.address, amount, deployer.address);
+      expect((await token.balanceOf(user2.address)) - before).to.equal(amount);
+      expect((await bidding.getBids(1)).length).to.equal(0);
+    });
+
+    describe("collection and trait offers", function () {
+      const price = ethers.parseEther("20");
+
+      beforeEach(async () => {
+        // user1 owns tokens 1..4
+        await token.connect(user1).approve(nft.target, ethers.parseEther("30"));
+        for (let i = 0; i < 3; i++) {
+          await nft.connect(user1).mintNFT(`ipfs://meme-${i + 2}`);
+        }
+        for (let id = 1; id <= 4; id++) {
+          await royaltyManager.setRoyalty(id, deployer.address, 500);
+        }
+        await nft.connect(user1).setApprovalForAll(bidding.target, true);
+        await token.connect(user2).approve(royaltyManager.target, ethers.MaxUint256);
+      });
+
+      it("should fill a collection-wide offer up to its quantity", async () => {
+        await token.connect(user2).approve(bidding.target, price * 2n);
+        await expect(bidding.connect(user2).placeCollectionOffer(price, 2, startTimestamp + 86400, ethers.ZeroHash))
+          .to.emit(bidding, "CollectionOfferPlaced")
+          .withArgs(1, user2.address, price, 2, startTimestamp + 86400, ethers.ZeroHash);
+        expect(await token.balanceOf(bidding.target)).to.equal(price * 2n);
+
+        await expect(bidding.connect(user1).acceptCollectionOffer(1, 3, []))
+          .to.emit(bidding, "CollectionOfferFilled")
+          .withArgs(1, 3, user1.address, 1);
+        expect(await token.balanceOf(bidding.target)).to.equal(price);
+
+        await bidding.connect(user1).acceptCollectionOffer(1, 1, []);
+        expect(await nft.ownerOf(1)).to.equal(user2.address);
+        expect(await nft.ownerOf(3)).to.equal(user2.address);
+        expect(await token.balanceOf(bidding.target)).to.equal(0);
+
+        await expect(bidding.connect(user1).acceptCollectionOffer(1, 2, []))
+          .to.be.revertedWith("Offer not active");
+      });
+
+      it("should only accept token IDs committed in the trait Merkle root", async () => {
+        const tree = buildTree([2, 4].map(tokenIdLeaf));
+        await token.connect(user2).approve(bidding.target, price * 2n);
+        await bidding.connect(user2).placeCollectionOffer(price, 2, startTimestamp + 86400, tree.root);
+
+        await expect(bidding.connect(user1).acceptCollectionOffer(1, 1, tree.getProof(tokenIdLeaf(2))))
+          .to.be.revertedWith("Token not eligible");
+        await bidding.connect(user1).acceptCollectionOffer(1, 4, tree.getProof(tokenIdLeaf(4)));
+        expect(await nft.ownerOf(4)).to.equal(user2.address);
+        expect((await bidding.collectionOffers(1)).quantity).to.equal(1);
+      });
+
+      it("should refund the unfilled part on cancel", async () => {
+        await token.connect(user2).approve(bidding.target, price * 3n);
+        await bidding.connect(user2).placeCollectionOffer(price, 3, startTimestamp + 86400, ethers.ZeroHash);
+        await bidding.connect(user1).acceptCollectionOffer(1, 2, []);
+
+        await expect(bidding.connect(user1).cancelCollectionOffer(1))
+          .to.be.revertedWith("Not bidder");
+        const before = await token.balanceOf(user2.address);
+        await expect(bidding.connect(user2).cancelCollectionOffer(1))
+          .to.emit(bidding, "CollectionOfferCancelled")
+          .withArgs(1, user2.address, price * 2n);
+        expect((await token.balanceOf(user2.address)) - before).to.equal(price * 2n);
+        await expect(bidding.connect(user1).acceptCollectionOffer(1, 3, []))
+          .to.be.revertedWith("Offer not active");
+      });
+    });
   });
 });
\ No newline at end of file
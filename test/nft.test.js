@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers, network } = require("hardhat");
+const { buildAllowlist } = require("../scripts/buildAllowlist");
+const { signVoucher } = require("../scripts/signVoucher");
 
 describe(" NFT Module", function () {
   let deployer, user1, user2, multisig;
@@ -31,7 +33,7 @@ describe(" NFT Module", function () {
 
     // Deploy BoostEngine
     const BoostEngine = await ethers.getContractFactory("BoostEngine");
-    boostEngine = await BoostEngine.deploy(token.target, treasury.target);
+    boostEngine = await BoostEngine.deploy(nftMinting.target, token.target, treasury.target);
     await boostEngine.waitForDeployment();
 
     // Transfer tokens to users for minting and boosting
@@ -86,6 +88,200 @@ describe(" NFT Module", function () {
     });
   });
 
+  describe(" NFTMinting.sol batch mint, freezing and enumeration", function () {
+    it("should batch mint with a single payment and respect maxPerWallet", async () => {
+      await token.connect(user1).approve(nftMinting.target, ethers.parseEther("60"));
+      await nftMinting.connect(user1).batchMint(["ipfs://a", "ipfs://b", "ipfs://c"]);
+
+      expect(await nftMinting.mintedBy(user1.address)).to.equal(3);
+      expect(await nftMinting.tokenURI(3)).to.equal("ipfs://c");
+      expect(await token.balanceOf(nftMinting.target)).to.equal(ethers.parseEther("30"));
+      await expect(nftMinting.connect(user1).batchMint(["ipfs://d", "ipfs://e", "ipfs://f"]))
+        .to.be.revertedWith("Mint limit exceeded");
+      await expect(nftMinting.connect(user1).batchMint(["ipfs://d", ""]))
+        .to.be.revertedWith("Invalid metadata URI");
+    });
+
+    it("should let the creator update metadata until frozen", async () => {
+      await token.connect(user1).approve(nftMinting.target, ethers.parseEther("10"));
+      await nftMinting.connect(user1).mintNFT("ipfs://draft");
+
+      await expect(nftMinting.connect(user2).updateTokenURI(1, "ipfs://hijack"))
+        .to.be.revertedWith("Not creator");
+      await expect(nftMinting.connect(user1).updateTokenURI(1, "ipfs://final"))
+        .to.emit(nftMinting, "MetadataUpdate")
+        .withArgs(1);
+
+      await expect(nftMinting.connect(user1).freezeMetadata(1))
+        .to.emit(nftMinting, "PermanentURI")
+        .withArgs("ipfs://final", 1);
+      expect(await nftMinting.metadataFrozen(1)).to.be.true;
+      await expect(nftMinting.connect(user1).updateTokenURI(1, "ipfs://again"))
+        .to.be.revertedWith("Metadata frozen");
+      expect(await nftMinting.supportsInterface("0x49064906")).to.be.true; // ERC-4906
+    });
+
+    it("should stop the creator updating metadata once the token is sold", async () => {
+      await token.connect(user1).approve(nftMinting.target, ethers.parseEther("10"));
+      await nftMinting.connect(user1).mintNFT("ipfs://draft");
+      await nftMinting.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+      await expect(nftMinting.connect(user1).updateTokenURI(1, "ipfs://swapped"))
+        .to.be.revertedWith("Creator no longer owner");
+      expect(await nftMinting.tokenURI(1)).to.equal("ipfs://draft");
+    });
+
+    it("should enumerate tokens by owner and by creator", async () => {
+      await token.connect(user1).approve(nftMinting.target, ethers.parseEther("20"));
+      await nftMinting.connect(user1).batchMint(["ipfs://a", "ipfs://b"]);
+      await nftMinting.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+      expect(await nftMinting.tokensOfOwner(user1.address)).to.deep.equal([2n]);
+      expect(await nftMinting.tokensOfOwner(user2.address)).to.deep.equal([1n]);
+      expect(await nftMinting.tokensByCreator(user1.address)).to.deep.equal([1n, 2n]);
+      expect(await nftMinting.creatorOf(1)).to.equal(user1.address);
+      expect(await nftMinting.totalSupply()).to.equal(2);
+    });
+  });
+
+  describe(" NFTMinting.sol mint phases", function () {
+    const phase = (overrides = {}) => ({
+      startTime: startTimestamp + 1000,
+      endTime: startTimestamp + 2000,
+      currency: token.target,
+      price: ethers.parseEther("5"),
+      maxPerWallet: 2,
+      merkleRoot: ethers.ZeroHash,
+      ...overrides,
+    });
+
+    const enterPhase = async () => {
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 1000]);
+      await network.provider.send("evm_mine");
+    };
+
+    it("should only mint inside the phase window, at the phase price and cap", async () => {
+      await expect(nftMinting.addMintPhase(phase()))
+        .to.emit(nftMinting, "MintPhaseScheduled");
+      await token.connect(user1).approve(nftMinting.target, ethers.parseEther("50"));
+
+      await expect(nftMinting.connect(user1).mintInPhase(0, "ipfs://drop", []))
+        .to.be.revertedWith("Phase not active");
+
+      await enterPhase();
+      await nftMinting.connect(user1).mintInPhase(0, "ipfs://drop", []);
+      await nftMinting.connect(user1).mintInPhase(0, "ipfs://drop", []);
+      expect(await token.balanceOf(nftMinting.target)).to.equal(ethers.parseEther("10"));
+      expect(await nftMinting.mintedInPhase(0, user1.address)).to.equal(2);
+      // Phase mints leave the public mint allowance untouched
+      expect(await nftMinting.mintedBy(user1.address)).to.equal(0);
+      await expect(nftMinting.connect(user1).mintInPhase(0, "ipfs://drop", []))
+        .to.be.revertedWith("Phase limit exceeded");
+
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 2000]);
+      await expect(nftMinting.connect(user2).mintInPhase(0, "ipfs://drop", []))
+        .to.be.revertedWith("Phase not active");
+    });
+
+    it("should gate allowlist phases with a Merkle proof built from a CSV", async () => {
+      const { root, proofs } = buildAllowlist([user1.address, deployer.address, multisig.address]);
+      await nftMinting.addMintPhase(phase({ merkleRoot: root }));
+      await token.connect(user1).approve(nftMinting.target, ethers.parseEther("5"));
+      await token.connect(user2).approve(nftMinting.target, ethers.parseEther("5"));
+      await enterPhase();
+
+      await nftMinting.connect(user1).mintInPhase(0, "ipfs://drop", proofs[user1.address]);
+      expect(await nftMinting.ownerOf(1)).to.equal(user1.address);
+      await expect(nftMinting.connect(user2).mintInPhase(0, "ipfs://drop", proofs[user1.address]))
+        .to.be.revertedWith("Not on allowlist");
+    });
+
+    it("should charge phases in another ERC-20 and let the owner withdraw it", async () => {
+      const USDT = await ethers.getContractFactory("USDT");
+      const usdt = await USDT.deploy(deployer.address, deployer.address);
+      await usdt.mint(user2.address, 1_000_000);
+      await nftMinting.addMintPhase(phase({ currency: usdt.target, price: 1_000_000 }));
+      await usdt.connect(user2).approve(nftMinting.target, 1_000_000);
+      await enterPhase();
+
+      await nftMinting.connect(user2).mintInPhase(0, "ipfs://drop", []);
+      const before = await usdt.balanceOf(multisig.address);
+      await nftMinting.withdrawCurrency(usdt.target, multisig.address);
+      expect((await usdt.balanceOf(multisig.address)) - before).to.equal(1_000_000);
+    });
+
+    it("should only reschedule phases that have not started", async () => {
+      await expect(nftMinting.connect(user1).addMintPhase(phase())).to.be.reverted;
+      await expect(nftMinting.addMintPhase(phase({ endTime: startTimestamp + 1000 })))
+        .to.be.revertedWith("Invalid window");
+
+      await nftMinting.addMintPhase(phase());
+      await nftMinting.updateMintPhase(0, phase({ price: 0 }));
+      expect((await nftMinting.getMintPhase(0)).price).to.equal(0);
+
+      await enterPhase();
+      await expect(nftMinting.updateMintPhase(0, phase()))
+        .to.be.revertedWith("Phase already started");
+    });
+
+    it("should let the owner close the public mint", async () => {
+      await nftMinting.setPublicMintOpen(false);
+      await token.connect(user1).approve(nftMinting.target, ethers.parseEther("10"));
+      await expect(nftMinting.connect(user1).mintNFT("ipfs://meme"))
+        .to.be.revertedWith("Public mint closed");
+    });
+  });
+
+  describe(" NFTMinting.sol lazy mint vouchers", function () {
+    const price = ethers.parseEther("100");
+    let voucherParams;
+
+    beforeEach(async () => {
+      await nftMinting.setRoyaltyManager(royaltyManager.target);
+      await royaltyManager.setRegistrar(nftMinting.target, true);
+      voucherParams = { uri: "ipfs://lazy", price, royaltyBps: 700, expiry: startTimestamp + 3600, nonce: 1 };
+    });
+
+    it("should mint to the buyer, pay the creator net of fee and record the royalty", async () => {
+      const { voucher, signature } = await signVoucher(user1, nftMinting.target, voucherParams);
+      const creatorBefore = await token.balanceOf(user1.address);
+      await token.connect(user2).approve(nftMinting.target, price);
+
+      await expect(nftMinting.connect(user2).redeemVoucher(voucher, signature))
+        .to.emit(nftMinting, "VoucherRedeemed")
+        .withArgs(await nftMinting.hashVoucher(voucher), 1, user1.address, user2.address, price);
+
+      expect(await nftMinting.ownerOf(1)).to.equal(user2.address);
+      expect(await nftMinting.tokenURI(1)).to.equal("ipfs://lazy");
+      expect((await token.balanceOf(user1.address)) - creatorBefore).to.equal(ethers.parseEther("95"));
+      expect(await token.balanceOf(nftMinting.target)).to.equal(ethers.parseEther("5"));
+      const royalty = await royaltyManager.royalties(1);
+      expect(royalty.creator).to.equal(user1.address);
+      expect(royalty.percent).to.equal(700);
+    });
+
+    it("should reject replayed, cancelled, expired and tampered vouchers", async () => {
+      await token.connect(user2).approve(nftMinting.target, ethers.parseEther("500"));
+      const { voucher, signature } = await signVoucher(user1, nftMinting.target, voucherParams);
+
+      await expect(nftMinting.connect(user2).redeemVoucher({ ...voucher, price: 1n }, signature))
+        .to.be.revertedWith("Invalid signature");
+      await nftMinting.connect(user2).redeemVoucher(voucher, signature);
+      await expect(nftMinting.connect(user2).redeemVoucher(voucher, signature))
+        .to.be.revertedWith("Voucher already used");
+
+      const second = await signVoucher(user1, nftMinting.target, { ...voucherParams, nonce: 2 });
+      await nftMinting.connect(user1).cancelVoucher(2);
+      await expect(nftMinting.connect(user2).redeemVoucher(second.voucher, second.signature))
+        .to.be.revertedWith("Voucher already used");
+
+      const third = await signVoucher(user1, nftMinting.target, { ...voucherParams, nonce: 3 });
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 3601]);
+      await expect(nftMinting.connect(user2).redeemVoucher(third.voucher, third.signature))
+        .to.be.revertedWith("Voucher expired");
+    });
+  });
+
   describe("RoyaltyManager.sol", function () {
     it("should set royalty for a token", async () => {
       await expect(royaltyManager.setRoyalty(1, user1.address, 500))
@@ -109,15 +305,65 @@ describe(" NFT Module", function () {
       const creatorAmount = royaltyAmount - platformCut; // 4.9 MFH
 
       await token.connect(user2).approve(royaltyManager.target, royaltyAmount);
+      await expect(royaltyManager.connect(user1).distributeRoyalty(1, salePrice, user2.address))
+        .to.be.revertedWith("Not marketplace");
+      await expect(royaltyManager.connect(user1).distributeRoyaltyInToken(token.target, 1, salePrice, user2.address))
+        .to.be.revertedWith("Not marketplace");
+
+      // The deployer stands in for a registered marketplace
+      await royaltyManager.setMarketplace(deployer.address, true);
       await expect(royaltyManager.distributeRoyalty(1, salePrice, user2.address))
         .to.emit(royaltyManager, "RoyaltyPaid")
-        .withArgs(1, user1.address, royaltyAmount, user2.address);
+        .withArgs(1, user1.address, creatorAmount, user2.address);
       expect(await token.balanceOf(user1.address)).to.equal(
         (BigInt(ethers.parseEther("1000")) + BigInt(creatorAmount)).toString()
       );
       expect(await token.balanceOf(treasury.target)).to.equal(platformCut.toString());
     });
 
+    it("should split the royalty between recipients and send rounding dust to the first", async () => {
+      const [a, b, c] = [1, 2, 3].map(() => ethers.Wallet.createRandom().address);
+      await expect(royaltyManager.setRoyaltySplit(1, [a, b, c], [300, 200, 100]))
+        .to.emit(royaltyManager, "RoyaltySet")
+        .withArgs(1, a, 600);
+
+      // 1001 wei sale: royalty 60, platform 1, creators 59 -> b 19, c 9, a 31 (incl. dust)
+      await token.connect(user2).approve(royaltyManager.target, 60);
+      await royaltyManager.setMarketplace(deployer.address, true);
+      await expect(royaltyManager.distributeRoyalty(1, 1001, user2.address))
+        .to.emit(royaltyManager, "RoyaltyPaid").withArgs(1, a, 31, user2.address)
+        .and.to.emit(royaltyManager, "RoyaltyPaid").withArgs(1, b, 19, user2.address)
+        .and.to.emit(royaltyManager, "RoyaltyPaid").withArgs(1, c, 9, user2.address);
+      expect(await token.balanceOf(a)).to.equal(31);
+      expect(await token.balanceOf(treasury.target)).to.equal(1);
+    });
+
+    it("should reject invalid splits", async () => {
+      await expect(royaltyManager.setRoyaltySplit(1, [user1.address, user1.address], [100, 100]))
+        .to.be.revertedWith("Duplicate recipient");
+      await expect(royaltyManager.setRoyaltySplit(1, [user1.address, user2.address], [600, 500]))
+        .to.be.revertedWith("Royalty too high");
+      await expect(royaltyManager.setRoyaltySplit(1, [user1.address], [100, 100]))
+        .to.be.revertedWith("Length mismatch");
+    });
+
+    it("should let a recipient move their own payout address", async () => {
+      await royaltyManager.setRoyaltySplit(1, [user1.address, user2.address], [300, 200]);
+
+      await expect(royaltyManager.connect(multisig).updatePayoutAddress(1, multisig.address))
+        .to.be.revertedWith("Not a recipient");
+      await expect(royaltyManager.connect(user2).updatePayoutAddress(1, user1.address))
+        .to.be.revertedWith("Duplicate recipient");
+
+      await expect(royaltyManager.connect(user1).updatePayoutAddress(1, multisig.address))
+        .to.emit(royaltyManager, "PayoutAddressUpdated")
+        .withArgs(1, user1.address, multisig.address);
+      const recipients = await royaltyManager.getRoyaltyRecipients(1);
+      expect(recipients[0].account).to.equal(multisig.address);
+      expect(recipients[0].share).to.equal(300);
+      expect((await royaltyManager.royalties(1)).creator).to.equal(multisig.address);
+    });
+
     it("should allow owner to set platform cut and treasury", async () => {
       await royaltyManager.setPlatformCut(300); // 3%
       expect(await royaltyManager.platformCut()).to.equal(300);
@@ -126,7 +372,63 @@ describe(" NFT Module", function () {
     });
   });
 
+  describe(" NFTMinting.sol royalties (ERC-2981)", function () {
+    beforeEach(async () => {
+      await nftMinting.setRoyaltyManager(royaltyManager.target);
+      await royaltyManager.setRegistrar(nftMinting.target, true);
+      await token.connect(user1).approve(nftMinting.target, ethers.parseEther("50"));
+    });
+
+    it("should make the minter the creator with the default royalty", async () => {
+      await expect(nftMinting.connect(user1).mintNFT("ipfs://meme"))
+        .to.emit(royaltyManager, "RoyaltySet")
+        .withArgs(1, user1.address, 500);
+      const [receiver, amount] = await nftMinting.royaltyInfo(1, ethers.parseEther("100"));
+      expect(receiver).to.equal(user1.address);
+      expect(amount).to.equal(ethers.parseEther("5"));
+    });
+
+    it("should accept a caller-chosen royalty capped at MAX_ROYALTY", async () => {
+      await nftMinting.connect(user1).mintNFTWithRoyalty("ipfs://meme", 250);
+      expect((await royaltyManager.royalties(1)).percent).to.equal(250);
+      await expect(nftMinting.connect(user1).mintNFTWithRoyalty("ipfs://meme", 1001))
+        .to.be.revertedWith("Royalty too high");
+    });
+
+    it("should report ERC-2981 and ERC-721 support", async () => {
+      expect(await nftMinting.supportsInterface("0x2a55205a")).to.be.true; // ERC-2981
+      expect(await nftMinting.supportsInterface("0x80ac58cd")).to.be.true; // ERC-721
+      expect(await nftMinting.supportsInterface("0xffffffff")).to.be.false;
+    });
+
+    it("should only let registrars record royalties, once per token", async () => {
+      await expect(royaltyManager.connect(user1).registerRoyalty(7, user1.address, 100))
+        .to.be.revertedWith("Not registrar");
+      await nftMinting.connect(user1).mintNFT("ipfs://meme");
+      await royaltyManager.setRegistrar(user2.address, true);
+      await expect(royaltyManager.connect(user2).registerRoyalty(1, user2.address, 100))
+        .to.be.revertedWith("Royalty already set");
+    });
+
+    it("should return no royalty when no manager is set", async () => {
+      await nftMinting.setRoyaltyManager(ethers.ZeroAddress);
+      await nftMinting.connect(user1).mintNFT("ipfs://meme");
+      const [receiver, amount] = await nftMinting.royaltyInfo(1, ethers.parseEther("100"));
+      expect(receiver).to.equal(ethers.ZeroAddress);
+      expect(amount).to.equal(0);
+    });
+  });
+
   describe(" BoostEngine.sol", function () {
+    const STANDARD = 0;
+    const FEATURED = 1;
+    const HOMEPAGE = 2;
+
+    beforeEach(async () => {
+      await token.connect(user1).approve(nftMinting.target, ethers.parseEther("30"));
+      await nftMinting.connect(user1).batchMint(["ipfs://1", "ipfs://2", "ipfs://3"]);
+    });
+
     it("should boost NFT with valid duration and payment", async () => {
       await token.connect(user1).approve(boostEngine.target, ethers.parseEther("5"));
       await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 100]);
@@ -170,5 +472,102 @@ describe(" NFT Module", function () {
       await network.provider.send("evm_mine");
       expect(await boostEngine.isBoosted(1)).to.be.false;
     });
+
+    it("should only let the owner or an approved operator boost", async () => {
+      await token.connect(user2).approve(boostEngine.target, ethers.parseEther("10"));
+      await expect(boostEngine.connect(user2).boostNFT(1, 1))
+        .to.be.revertedWith("Not owner nor approved");
+      await expect(boostEngine.connect(user1).boostNFT(99, 1))
+        .to.be.revertedWith("ERC721: invalid token ID");
+
+      await nftMinting.connect(user1).approve(user2.address, 1);
+      await boostEngine.connect(user2).boostNFT(1, 1);
+      expect(await boostEngine.isBoosted(1)).to.be.true;
+    });
+
+    it("should let the seller boost an item while it is listed", async () => {
+      const MarketplaceCore = await ethers.getContractFactory("MarketplaceCore");
+      const marketplace = await MarketplaceCore.deploy(nftMinting.target, token.target, treasury.target, royaltyManager.target);
+      const AuctionModule = await ethers.getContractFactory("AuctionModule");
+      const auction = await AuctionModule.deploy(nftMinting.target, token.target, treasury.target, royaltyManager.target);
+      await boostEngine.setMarketplace(marketplace.target, true);
+      await boostEngine.setMarketplace(auction.target, true);
+
+      await nftMinting.connect(user1).approve(marketplace.target, 1);
+      await marketplace.connect(user1).listNFT(1, ethers.parseEther("100"));
+      await nftMinting.connect(user1).approve(auction.target, 2);
+      await auction.connect(user1).startAuction(2, ethers.parseEther("10"), 86400);
+
+      await token.connect(user1).approve(boostEngine.target, ethers.parseEther("20"));
+      await boostEngine.connect(user1).boostNFT(1, 1);
+      await boostEngine.connect(user1).boostNFT(1, 1); // extend while still listed
+      await boostEngine.connect(user1).boostNFT(2, 1);
+      expect(await boostEngine.boostedUntil(1)).to.be.gt(await boostEngine.boostedUntil(2));
+
+      await token.connect(user2).approve(boostEngine.target, ethers.parseEther("5"));
+      await expect(boostEngine.connect(user2).boostNFT(1, 1)).to.be.revertedWith("Not owner nor approved");
+    });
+
+    it("should charge tier rates and enforce tier slot limits", async () => {
+      await boostEngine.setTier(HOMEPAGE, ethers.parseEther("50"), 1);
+      await token.connect(user1).approve(boostEngine.target, ethers.parseEther("200"));
+
+      await expect(boostEngine.connect(user1).boostNFTWithTier(1, 1, HOMEPAGE, false))
+        .to.emit(boostEngine, "BoostTierBought");
+      expect(await token.balanceOf(treasury.target)).to.equal(ethers.parseEther("50"));
+      await expect(boostEngine.connect(user1).boostNFTWithTier(2, 1, HOMEPAGE, false))
+        .to.be.revertedWith("No slots left");
+      await expect(boostEngine.connect(user1).boostNFTWithTier(1, 1, FEATURED, false))
+        .to.be.revertedWith("Boost terms mismatch");
+
+      // Expired boosts free their slot
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 2 * 86400]);
+      await boostEngine.connect(user1).boostNFTWithTier(2, 1, HOMEPAGE, false);
+      expect((await boostEngine.boosts(1)).until).to.equal(0);
+    });
+
+    it("should return the feed sorted by tier, then by expiry", async () => {
+      await token.connect(user1).approve(boostEngine.target, ethers.parseEther("100"));
+      await boostEngine.connect(user1).boostNFTWithTier(1, 3, STANDARD, false);
+      await boostEngine.connect(user1).boostNFTWithTier(2, 2, FEATURED, false);
+      await boostEngine.connect(user1).boostNFTWithTier(3, 1, FEATURED, false);
+
+      const feed = await boostEngine.getBoostFeed();
+      expect(feed.map((e) => e.tokenId)).to.deep.equal([3n, 2n, 1n]);
+      expect(feed.map((e) => e.tier)).to.deep.equal([BigInt(FEATURED), BigInt(FEATURED), BigInt(STANDARD)]);
+
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 2 * 86400 + 60]);
+      await network.provider.send("evm_mine");
+      expect((await boostEngine.getBoostFeed()).map((e) => e.tokenId)).to.deep.equal([1n]);
+    });
+
+    it("should refund the unused part of a refundable boost on sale", async () => {
+      await boostEngine.setMarketplace(deployer.address, true);
+      await token.connect(user1).approve(boostEngine.target, ethers.parseEther("10"));
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 100]);
+      await boostEngine.connect(user1).boostNFTWithTier(1, 2, STANDARD, true);
+      expect(await token.balanceOf(boostEngine.target)).to.equal(ethers.parseEther("10"));
+
+      await network.provider.send("evm_setNextBlockTimestamp", [startTimestamp + 100 + 86400]);
+      await expect(boostEngine.handleSale(1))
+        .to.emit(boostEngine, "BoostRefunded")
+        .withArgs(1, user1.address, ethers.parseEther("5"), ethers.parseEther("5"));
+      expect(await boostEngine.isBoosted(1)).to.be.false;
+      expect(await token.balanceOf(treasury.target)).to.equal(ethers.parseEther("5"));
+
+      const before = await token.balanceOf(user1.address);
+      await boostEngine.connect(user1).withdrawRefund();
+      expect((await token.balanceOf(user1.address)) - before).to.equal(ethers.parseEther("5"));
+    });
+
+    it("should keep a transferable boost on the token after a sale", async () => {
+      await boostEngine.setMarketplace(deployer.address, true);
+      await token.connect(user1).approve(boostEngine.target, ethers.parseEther("5"));
+      await boostEngine.connect(user1).boostNFT(1, 1);
+
+      await expect(boostEngine.connect(user2).handleSale(1)).to.be.revertedWith("Not marketplace");
+      await expect(boostEngine.handleSale(1)).to.emit(boostEngine, "BoostTransferred");
+      expect(await boostEngine.isBoosted(1)).to.be.true;
+    });
   });
 });
\ No newline at end of file
@@ -1,9 +1,10 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { signRenewal } = require("../scripts/signRenewal");
 
 describe("NFT Rental System", function () {
   let NFTMinting, RentalEngine, LeaseAgreement;
-  let nft, rentalEngine, leaseAgreement;
+  let nft, mfh, rentalEngine, leaseAgreement;
   let owner, lessor, lessee, treasury;
   const TOKEN_ID = 1;
   const DURATION = 86400; // 1 day
@@ -12,7 +13,7 @@ describe("NFT Rental System", function () {
     [owner, lessor, lessee, treasury] = await ethers.getSigners();
 
     const MFHToken = await ethers.getContractFactory("MFHToken");
-    const mfh = await MFHToken.deploy();
+    mfh = await MFHToken.deploy();
     await mfh.waitForDeployment();
 
     NFTMinting = await ethers.getContractFactory("NFTMinting");
@@ -35,6 +36,41 @@ describe("NFT Rental System", function () {
     await leaseAgreement.waitForDeployment();
 
     await rentalEngine.setTreasury(treasury.address);
+    await rentalEngine.setLeaseManager(leaseAgreement.target, true);
+  });
+
+  const startLease = async () => {
+    await nft.connect(lessor).approve(leaseAgreement.target, TOKEN_ID);
+    await leaseAgreement.connect(lessor).startLease(TOKEN_ID, lessee.address, DURATION);
+  };
+
+  const passTime = async (seconds) => {
+    await network.provider.send("evm_increaseTime", [seconds]);
+    await network.provider.send("evm_mine");
+  };
+
+  describe("NFTMinting ERC-4907", function () {
+    it("should let the owner set a user that lapses at expiry", async function () {
+      const expires = (await ethers.provider.getBlock("latest")).timestamp + 100;
+      await expect(nft.connect(lessor).setUser(TOKEN_ID, lessee.address, expires))
+        .to.emit(nft, "UpdateUser")
+        .withArgs(TOKEN_ID, lessee.address, expires);
+      expect(await nft.userOf(TOKEN_ID)).to.equal(lessee.address);
+      expect(await nft.userExpires(TOKEN_ID)).to.equal(expires);
+      expect(await nft.supportsInterface("0xad092b5c")).to.be.true;
+
+      await passTime(101);
+      expect(await nft.userOf(TOKEN_ID)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should reject strangers and clear the user on transfer", async function () {
+      await expect(nft.connect(lessee).setUser(TOKEN_ID, lessee.address, 2n ** 63n))
+        .to.be.revertedWith("Not owner nor approved");
+
+      await nft.connect(lessor).setUser(TOKEN_ID, lessee.address, 2n ** 63n);
+      await nft.connect(lessor).transferFrom(lessor.address, owner.address, TOKEN_ID);
+      expect(await nft.userOf(TOKEN_ID)).to.equal(ethers.ZeroAddress);
+    });
   });
 
   describe("RentalEngine", function () {
@@ -48,11 +84,371 @@ describe("NFT Rental System", function () {
     });
   });
 
+  describe("RentalEngine paid offers", function () {
+    const PRICE_PER_DAY = ethers.parseEther("10");
+
+    beforeEach(async function () {
+      await mfh.transfer(lessee.address, ethers.parseEther("100"));
+      await nft.connect(lessor).approve(rentalEngine.target, TOKEN_ID);
+      await rentalEngine.connect(lessor).postRentalOffer(TOKEN_ID, PRICE_PER_DAY, 1, 3, mfh.target, 0);
+    });
+
+    it("should escrow the NFT when an offer is posted", async function () {
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(rentalEngine.target);
+      const offer = await rentalEngine.rentalOffers(TOKEN_ID);
+      expect(offer.lessor).to.equal(lessor.address);
+      expect(offer.maxDays).to.equal(3);
+    });
+
+    it("should charge upfront, pay the fee to treasury and credit lessor earnings at the end", async function () {
+      const price = PRICE_PER_DAY * 2n;
+      await mfh.connect(lessee).approve(rentalEngine.target, price);
+      await expect(rentalEngine.connect(lessee).rent(TOKEN_ID, 2))
+        .to.emit(rentalEngine, "Rented")
+        .withArgs(TOKEN_ID, lessee.address, 2 * DURATION, price);
+
+      expect(await nft.userOf(TOKEN_ID)).to.equal(lessee.address);
+      expect(await mfh.balanceOf(treasury.address)).to.equal(ethers.parseEther("1"));
+      expect(await rentalEngine.earnings(lessor.address, mfh.target)).to.equal(0);
+
+      await passTime(2 * DURATION + 1);
+      await rentalEngine.endExpiredLease(TOKEN_ID);
+      expect(await rentalEngine.earnings(lessor.address, mfh.target)).to.equal(ethers.parseEther("19"));
+
+      const before = await mfh.balanceOf(lessor.address);
+      await rentalEngine.connect(lessor).claimEarnings(mfh.target);
+      expect((await mfh.balanceOf(lessor.address)) - before).to.equal(ethers.parseEther("19"));
+      await expect(rentalEngine.connect(lessor).claimEarnings(mfh.target))
+        .to.be.revertedWith("Nothing to claim");
+    });
+
+    it("should enforce the duration range and one renter at a time", async function () {
+      await mfh.connect(lessee).approve(rentalEngine.target, ethers.parseEther("100"));
+      await expect(rentalEngine.connect(lessee).rent(TOKEN_ID, 4)).to.be.revertedWith("Invalid duration");
+      await expect(rentalEngine.connect(lessee).rent(TOKEN_ID, 0)).to.be.revertedWith("Invalid duration");
+
+      await rentalEngine.connect(lessee).rent(TOKEN_ID, 1);
+      await expect(rentalEngine.connect(lessee).rent(TOKEN_ID, 1)).to.be.revertedWith("Lease already active");
+
+      // After expiry the NFT stays offered and can be rented again
+      await passTime(DURATION + 1);
+      await rentalEngine.connect(lessee).rent(TOKEN_ID, 1);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(rentalEngine.target);
+      expect(await nft.userOf(TOKEN_ID)).to.equal(lessee.address);
+    });
+
+    it("should return the NFT on cancel, or when the running rental ends", async function () {
+      await expect(rentalEngine.connect(lessee).cancelRentalOffer(TOKEN_ID)).to.be.revertedWith("Not lessor");
+
+      await mfh.connect(lessee).approve(rentalEngine.target, PRICE_PER_DAY);
+      await rentalEngine.connect(lessee).rent(TOKEN_ID, 1);
+      await expect(rentalEngine.connect(lessor).cancelRentalOffer(TOKEN_ID))
+        .to.emit(rentalEngine, "RentalOfferCancelled");
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(rentalEngine.target);
+      await expect(rentalEngine.connect(lessee).rent(TOKEN_ID, 1)).to.be.revertedWith("Not offered");
+
+      await expect(rentalEngine.connect(lessee).returnNFT(TOKEN_ID))
+        .to.emit(rentalEngine, "Returned")
+        .withArgs(TOKEN_ID, lessee.address, PRICE_PER_DAY);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(lessor.address);
+    });
+  });
+
+  describe("RentalEngine deposits and claims", function () {
+    const PRICE_PER_DAY = ethers.parseEther("10");
+    const DEPOSIT = ethers.parseEther("50");
+    const DEPOSIT_ID = 1;
+    let arbiter;
+
+    beforeEach(async function () {
+      arbiter = owner;
+      await rentalEngine.setDepositToken(mfh.target);
+      await rentalEngine.setArbiter(arbiter.address);
+      await mfh.transfer(lessee.address, ethers.parseEther("100"));
+      await nft.connect(lessor).approve(rentalEngine.target, TOKEN_ID);
+      await rentalEngine.connect(lessor).postRentalOffer(TOKEN_ID, PRICE_PER_DAY, 1, 3, mfh.target, DEPOSIT);
+      // Rent is non-refundable here so only the deposit moves on return
+      await rentalEngine.connect(lessor).setLeaseTerms(TOKEN_ID, false, false, 10000);
+      await mfh.connect(lessee).approve(rentalEngine.target, PRICE_PER_DAY + DEPOSIT);
+      await rentalEngine.connect(lessee).rent(TOKEN_ID, 1);
+    });
+
+    it("should hold the deposit and refund it on a timely return", async function () {
+      expect((await rentalEngine.deposits(DEPOSIT_ID)).amount).to.equal(DEPOSIT);
+      const before = await mfh.balanceOf(lessee.address);
+      await expect(rentalEngine.connect(lessee).returnNFT(TOKEN_ID))
+        .to.emit(rentalEngine, "DepositSettled")
+        .withArgs(DEPOSIT_ID, 0, DEPOSIT);
+      expect((await mfh.balanceOf(lessee.address)) - before).to.equal(DEPOSIT);
+    });
+
+    it("should not take the deposit when a lapsed lease is marked defaulted", async function () {
+      await passTime(DURATION + 1);
+      await expect(rentalEngine.connect(lessor).markDefaulted(TOKEN_ID))
+        .to.be.revertedWith("Grace period not over");
+
+      await passTime(DURATION);
+      await expect(rentalEngine.connect(lessee).markDefaulted(TOKEN_ID)).to.be.revertedWith("Not lessor");
+      await expect(rentalEngine.connect(lessor).markDefaulted(TOKEN_ID))
+        .to.emit(rentalEngine, "Defaulted")
+        .and.not.to.emit(rentalEngine, "ClaimFiled");
+      // Only the rent is credited; the deposit stays the lessee's unless a claim is filed
+      expect(await rentalEngine.earnings(lessor.address, mfh.target)).to.equal(ethers.parseEther("9.5"));
+      expect((await rentalEngine.deposits(DEPOSIT_ID)).status).to.equal(1); // Held
+
+      await passTime(3 * DURATION);
+      await expect(rentalEngine.connect(lessee).withdrawDeposit(DEPOSIT_ID))
+        .to.emit(rentalEngine, "DepositSettled")
+        .withArgs(DEPOSIT_ID, 0, DEPOSIT);
+      expect(await rentalEngine.earnings(lessor.address, mfh.target)).to.equal(ethers.parseEther("9.5"));
+    });
+
+    it("should let the lessee withdraw when no claim is filed in time", async function () {
+      await passTime(DURATION + 1);
+      await rentalEngine.endExpiredLease(TOKEN_ID);
+      await expect(rentalEngine.connect(lessee).withdrawDeposit(DEPOSIT_ID))
+        .to.be.revertedWith("Claim window open");
+
+      await passTime(3 * DURATION);
+      await expect(rentalEngine.connect(lessor).fileClaim(DEPOSIT_ID, DEPOSIT, "late"))
+        .to.be.revertedWith("Outside claim window");
+      await rentalEngine.connect(lessee).withdrawDeposit(DEPOSIT_ID);
+      expect((await rentalEngine.deposits(DEPOSIT_ID)).amount).to.equal(0);
+    });
+
+    it("should pay an uncontested claim after the contest window", async function () {
+      await passTime(DURATION + 1);
+      await rentalEngine.endExpiredLease(TOKEN_ID);
+      await expect(rentalEngine.connect(lessor).fileClaim(DEPOSIT_ID, ethers.parseEther("20"), "meme defaced"))
+        .to.emit(rentalEngine, "ClaimFiled")
+        .withArgs(DEPOSIT_ID, ethers.parseEther("20"), "meme defaced");
+      await expect(rentalEngine.settleClaim(DEPOSIT_ID)).to.be.revertedWith("Contest window open");
+
+      await passTime(3 * DURATION);
+      await expect(rentalEngine.settleClaim(DEPOSIT_ID))
+        .to.emit(rentalEngine, "DepositSettled")
+        .withArgs(DEPOSIT_ID, ethers.parseEther("20"), ethers.parseEther("30"));
+    });
+
+    it("should let the arbiter resolve a contested claim", async function () {
+      await passTime(DURATION + 1);
+      await rentalEngine.endExpiredLease(TOKEN_ID);
+      await rentalEngine.connect(lessor).fileClaim(DEPOSIT_ID, DEPOSIT, "never returned");
+      await expect(rentalEngine.connect(lessor).contestClaim(DEPOSIT_ID)).to.be.revertedWith("Not lessee");
+      await expect(rentalEngine.connect(lessee).contestClaim(DEPOSIT_ID))
+        .to.emit(rentalEngine, "ClaimContested");
+
+      await passTime(3 * DURATION);
+      await expect(rentalEngine.settleClaim(DEPOSIT_ID)).to.be.revertedWith("No open claim");
+      await expect(rentalEngine.connect(lessor).resolveClaim(DEPOSIT_ID, 0)).to.be.revertedWith("Not arbiter");
+      await expect(rentalEngine.connect(arbiter).resolveClaim(DEPOSIT_ID, DEPOSIT + 1n))
+        .to.be.revertedWith("Exceeds claim");
+
+      await expect(rentalEngine.connect(arbiter).resolveClaim(DEPOSIT_ID, ethers.parseEther("10")))
+        .to.emit(rentalEngine, "DepositSettled")
+        .withArgs(DEPOSIT_ID, ethers.parseEther("10"), ethers.parseEther("40"));
+    });
+  });
+
+  describe("RentalEngine renewals, early termination and subletting", function () {
+    const PRICE_PER_DAY = ethers.parseEther("10");
+    let sublessee;
+
+    beforeEach(async function () {
+      sublessee = owner;
+      await mfh.transfer(lessee.address, ethers.parseEther("100"));
+      await mfh.connect(lessee).approve(rentalEngine.target, ethers.parseEther("100"));
+      await nft.connect(lessor).approve(rentalEngine.target, TOKEN_ID);
+      await rentalEngine.connect(lessor).postRentalOffer(TOKEN_ID, PRICE_PER_DAY, 1, 4, mfh.target, 0);
+    });
+
+    it("should renew with a signed lessor consent, once", async function () {
+      await rentalEngine.connect(lessee).rent(TOKEN_ID, 2);
+      const { expiresAt } = await rentalEngine.leases(TOKEN_ID);
+      const deadline = expiresAt;
+      const terms = {
+        tokenId: TOKEN_ID,
+        leaseId: (await rentalEngine.leaseBilling(TOKEN_ID)).leaseId,
+        lessee: lessee.address,
+        extraDays: 1,
+        pricePerDay: PRICE_PER_DAY,
+        deposit: 0,
+        nonce: await rentalEngine.renewalNonces(lessor.address),
+        deadline,
+      };
+      const { signature } = await signRenewal(lessor, rentalEngine.target, terms);
+
+      await expect(rentalEngine.connect(lessee).renewLease(TOKEN_ID, 2, deadline, signature))
+        .to.be.revertedWith("Invalid consent");
+      await expect(rentalEngine.connect(lessee).renewLease(TOKEN_ID, 1, deadline, signature))
+        .to.emit(rentalEngine, "LeaseRenewed")
+        .withArgs(TOKEN_ID, lessee.address, DURATION, PRICE_PER_DAY, expiresAt + BigInt(DURATION));
+      expect(await nft.userExpires(TOKEN_ID)).to.equal(expiresAt + BigInt(DURATION));
+      expect((await rentalEngine.leases(TOKEN_ID)).pricePaid).to.equal(PRICE_PER_DAY * 3n);
+      // The nonce is used up
+      await expect(rentalEngine.connect(lessee).renewLease(TOKEN_ID, 1, deadline, signature))
+        .to.be.revertedWith("Invalid consent");
+    });
+
+    it("should reject a renewal consent signed for other terms", async function () {
+      await rentalEngine.connect(lessee).rent(TOKEN_ID, 2);
+      const { expiresAt } = await rentalEngine.leases(TOKEN_ID);
+      const { signature } = await signRenewal(lessor, rentalEngine.target, {
+        tokenId: TOKEN_ID,
+        leaseId: (await rentalEngine.leaseBilling(TOKEN_ID)).leaseId,
+        lessee: lessee.address,
+        extraDays: 1,
+        pricePerDay: PRICE_PER_DAY,
+        deposit: 0,
+        nonce: 0,
+        deadline: expiresAt,
+      });
+
+      // Relisted at a lower price: the consent no longer matches the offer
+      await rentalEngine.connect(lessor).postRentalOffer(TOKEN_ID, PRICE_PER_DAY / 2n, 1, 4, mfh.target, 0);
+      await expect(rentalEngine.connect(lessee).renewLease(TOKEN_ID, 1, expiresAt, signature))
+        .to.be.revertedWith("Invalid consent");
+    });
+
+    it("should renew without a signature when auto-renew is on", async function () {
+      await rentalEngine.connect(lessor).setLeaseTerms(TOKEN_ID, true, false, 0);
+      await rentalEngine.connect(lessee).rent(TOKEN_ID, 1);
+      await expect(rentalEngine.connect(lessee).renewLease(TOKEN_ID, 5, 0, "0x"))
+        .to.be.revertedWith("Invalid duration");
+      await rentalEngine.connect(lessee).renewLease(TOKEN_ID, 2, 0, "0x");
+
+      await passTime(3 * DURATION + 1);
+      await expect(rentalEngine.connect(lessee).renewLease(TOKEN_ID, 1, 0, "0x"))
+        .to.be.revertedWith("Lease not active");
+      await rentalEngine.endExpiredLease(TOKEN_ID);
+      expect(await rentalEngine.earnings(lessor.address, mfh.target)).to.equal(ethers.parseEther("28.5"));
+    });
+
+    it("should refund unused rent minus the termination penalty", async function () {
+      await rentalEngine.connect(lessor).setLeaseTerms(TOKEN_ID, false, false, 2000);
+      await rentalEngine.connect(lessee).rent(TOKEN_ID, 4);
+      await passTime(DURATION - 1); // returned exactly one day in
+
+      // 38 net rent, 28.5 unused: 20% penalty kept, 22.8 refunded
+      const before = await mfh.balanceOf(lessee.address);
+      await expect(rentalEngine.connect(lessee).returnNFT(TOKEN_ID))
+        .to.emit(rentalEngine, "LeaseTerminated")
+        .withArgs(TOKEN_ID, lessee.address, ethers.parseEther("22.8"), ethers.parseEther("5.7"));
+      expect((await mfh.balanceOf(lessee.address)) - before).to.equal(ethers.parseEther("22.8"));
+      expect(await rentalEngine.earnings(lessor.address, mfh.target)).to.equal(ethers.parseEther("15.2"));
+    });
+
+    it("should sublet only when allowed and within the master lease", async function () {
+      await rentalEngine.connect(lessee).rent(TOKEN_ID, 2);
+      const { expiresAt } = await rentalEngine.leases(TOKEN_ID);
+      await expect(rentalEngine.connect(lessee).sublet(TOKEN_ID, sublessee.address, expiresAt))
+        .to.be.revertedWith("Subletting not allowed");
+    });
+
+    it("should hand the user role to the sublessee and back", async function () {
+      await rentalEngine.connect(lessor).setLeaseTerms(TOKEN_ID, true, true, 0);
+      await rentalEngine.connect(lessee).rent(TOKEN_ID, 2);
+      const { expiresAt } = await rentalEngine.leases(TOKEN_ID);
+
+      await expect(rentalEngine.connect(lessee).sublet(TOKEN_ID, sublessee.address, expiresAt + 1n))
+        .to.be.revertedWith("Sublease exceeds lease");
+      const until = expiresAt - BigInt(DURATION);
+      await expect(rentalEngine.connect(lessee).sublet(TOKEN_ID, sublessee.address, until))
+        .to.emit(rentalEngine, "Sublet")
+        .withArgs(TOKEN_ID, lessee.address, sublessee.address, until);
+      expect(await nft.userOf(TOKEN_ID)).to.equal(sublessee.address);
+      expect(await nft.userExpires(TOKEN_ID)).to.equal(until);
+      await expect(rentalEngine.connect(lessee).returnNFT(TOKEN_ID)).to.be.revertedWith("Sublease active");
+
+      // Renewing keeps the sublessee in place
+      await rentalEngine.connect(lessee).renewLease(TOKEN_ID, 1, 0, "0x");
+      expect(await nft.userOf(TOKEN_ID)).to.equal(sublessee.address);
+
+      await expect(rentalEngine.connect(lessee).endSublease(TOKEN_ID)).to.be.revertedWith("Not allowed");
+      await expect(rentalEngine.connect(sublessee).endSublease(TOKEN_ID))
+        .to.emit(rentalEngine, "SubleaseEnded")
+        .withArgs(TOKEN_ID, sublessee.address);
+      expect(await nft.userOf(TOKEN_ID)).to.equal(lessee.address);
+      expect(await nft.userExpires(TOKEN_ID)).to.equal(expiresAt + BigInt(DURATION));
+    });
+  });
+
   describe("LeaseAgreement", function () {
     it("should fail if non-owner tries lease", async function () {
       await expect(
         leaseAgreement.connect(lessee).startLease(TOKEN_ID, lessee.address, DURATION)
       ).to.be.revertedWith("Not token owner");
     });
+
+    it("should escrow the NFT and make the lessee its user", async function () {
+      await startLease();
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(rentalEngine.target);
+      expect(await nft.userOf(TOKEN_ID)).to.equal(lessee.address);
+      expect((await rentalEngine.leases(TOKEN_ID)).lessee).to.equal(lessee.address);
+    });
+
+    it("should expire the lessee's rights without any action from them", async function () {
+      await startLease();
+      await passTime(DURATION + 1);
+      expect(await nft.userOf(TOKEN_ID)).to.equal(ethers.ZeroAddress);
+
+      await expect(rentalEngine.connect(treasury).endExpiredLease(TOKEN_ID))
+        .to.emit(rentalEngine, "LeaseExpired")
+        .withArgs(TOKEN_ID, lessor.address);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(lessor.address);
+    });
+
+    it("should return the NFT to the lessor on default without lessee approval", async function () {
+      await startLease();
+      await expect(rentalEngine.connect(lessor).markDefaulted(TOKEN_ID))
+        .to.be.revertedWith("Grace period not over");
+
+      await passTime(2 * DURATION + 1);
+      await expect(rentalEngine.connect(lessor).markDefaulted(TOKEN_ID))
+        .to.emit(rentalEngine, "Defaulted");
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(lessor.address);
+      expect((await rentalEngine.leases(TOKEN_ID)).active).to.be.false;
+    });
+
+    it("should let the lessee end early but the lessor only after expiry", async function () {
+      await startLease();
+      await expect(leaseAgreement.connect(lessor).endLease(TOKEN_ID)).to.be.revertedWith("Not allowed");
+
+      await expect(leaseAgreement.connect(lessee).endLease(TOKEN_ID))
+        .to.emit(leaseAgreement, "LeaseEnded");
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(lessor.address);
+      expect(await nft.userOf(TOKEN_ID)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should let only the lessor extend a direct lease", async function () {
+      await startLease();
+      const { expiresAt } = await rentalEngine.leases(TOKEN_ID);
+      await expect(leaseAgreement.connect(lessee).extendLease(TOKEN_ID, DURATION)).to.be.revertedWith("Not lessor");
+
+      await expect(leaseAgreement.connect(lessor).extendLease(TOKEN_ID, DURATION))
+        .to.emit(rentalEngine, "LeaseRenewed")
+        .withArgs(TOKEN_ID, lessee.address, DURATION, 0, expiresAt + BigInt(DURATION));
+      expect(await nft.userExpires(TOKEN_ID)).to.equal(expiresAt + BigInt(DURATION));
+    });
+
+    it("should not extend a paid rental it did not register", async function () {
+      await mfh.transfer(lessee.address, ethers.parseEther("10"));
+      await nft.connect(lessor).approve(rentalEngine.target, TOKEN_ID);
+      await rentalEngine.connect(lessor).postRentalOffer(TOKEN_ID, ethers.parseEther("10"), 1, 3, mfh.target, 0);
+      await mfh.connect(lessee).approve(rentalEngine.target, ethers.parseEther("10"));
+      await rentalEngine.connect(lessee).rent(TOKEN_ID, 1);
+
+      await expect(leaseAgreement.connect(lessor).extendLease(TOKEN_ID, DURATION))
+        .to.be.revertedWith("Lease not managed by caller");
+      await expect(rentalEngine.connect(owner).extendLease(TOKEN_ID, DURATION))
+        .to.be.revertedWith("Lease not managed by caller");
+    });
+
+    it("should only accept leases from lease managers", async function () {
+      await rentalEngine.setLeaseManager(leaseAgreement.target, false);
+      await nft.connect(lessor).approve(leaseAgreement.target, TOKEN_ID);
+      await expect(leaseAgreement.connect(lessor).startLease(TOKEN_ID, lessee.address, DURATION))
+        .to.be.revertedWith("Not lease manager");
+    });
   });
 });
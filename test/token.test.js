@@ -74,6 +74,69 @@ describe(" Token Module", function () {
     });
   });
 
+  describe(" FeeRouter.sol", function () {
+    const BURN = "0x000000000000000000000000000000000000dEaD";
+    const SALE = ethers.id("SALE");
+    const BOOST = ethers.id("BOOST");
+    let router;
+
+    beforeEach(async () => {
+      const FeeRouter = await ethers.getContractFactory("FeeRouter");
+      router = await FeeRouter.deploy(treasury.target);
+      await router.waitForDeployment();
+      // user1 acts as a fee-paying module
+      await router.setModule(user1.address, true);
+      await token.connect(user1).approve(router.target, ethers.parseEther("1000"));
+    });
+
+    it("should send all fees to TreasuryVault when no splits are set", async () => {
+      await expect(router.connect(user1).payFee(SALE, token.target, ethers.parseEther("100")))
+        .to.emit(router, "FeeReceived")
+        .withArgs(SALE, token.target, user1.address, ethers.parseEther("100"))
+        .and.to.emit(treasury, "DepositReceived")
+        .withArgs(token.target, router.target, ethers.parseEther("100"));
+      expect(await token.balanceOf(treasury.target)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("should split fees between recipients and track per-source totals", async () => {
+      await router.setSplits([BURN, staking.target], [1000, 2000]); // 10% burn, 20% staking top-up
+      await router.connect(user1).payFee(SALE, token.target, ethers.parseEther("100"));
+      await router.connect(user1).payFee(BOOST, token.target, ethers.parseEther("50"));
+      await router.connect(user1).payFee(SALE, token.target, ethers.parseEther("10"));
+
+      expect(await token.balanceOf(BURN)).to.equal(ethers.parseEther("16"));
+      expect(await token.balanceOf(staking.target)).to.equal(ethers.parseEther("32"));
+      expect(await token.balanceOf(treasury.target)).to.equal(ethers.parseEther("112"));
+      expect(await router.totalBySource(SALE, token.target)).to.equal(ethers.parseEther("110"));
+      expect(await router.totalBySource(BOOST, token.target)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("should reject unknown modules and splits over 100%", async () => {
+      await expect(router.connect(user2).payFee(SALE, token.target, 1))
+        .to.be.revertedWith("FeeRouter: not a module");
+      await expect(router.setSplits([BURN, staking.target], [6000, 5000]))
+        .to.be.revertedWith("Splits exceed 100%");
+      await expect(router.connect(user1).setSplits([BURN], [100])).to.be.reverted;
+    });
+
+    it("should route BoostEngine fees tagged as boost", async () => {
+      const BoostEngine = await ethers.getContractFactory("BoostEngine");
+      const NFTMinting = await ethers.getContractFactory("NFTMinting");
+      const nft = await NFTMinting.deploy(token.target);
+      await token.connect(user2).approve(nft.target, ethers.parseEther("10"));
+      await nft.connect(user2).mintNFT("ipfs://meme");
+
+      const boost = await BoostEngine.deploy(nft.target, token.target, treasury.target);
+      await boost.setFeeRouter(router.target);
+      await router.setModule(boost.target, true);
+
+      await token.connect(user2).approve(boost.target, ethers.parseEther("10"));
+      await boost.connect(user2).boostNFT(1, 2);
+      expect(await router.totalBySource(BOOST, token.target)).to.equal(ethers.parseEther("10"));
+      expect(await token.balanceOf(treasury.target)).to.equal(ethers.parseEther("10"));
+    });
+  });
+
   describe(" StakingRewards.sol", function () {
     beforeEach(async () => {
       await token.transfer(staking.target, ethers.parseEther("1000"));